@@ -0,0 +1,2112 @@
+// app.js
+// Builds the Express app around injected storage and push dependencies, so the
+// server (server.js) and the tests (test/) create it the same way.
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+const { v4: uuidv4 } = require('uuid');
+const { createAuth, hashPassword, verifyPassword, hashToken, generateToken } = require('./lib/auth');
+const { createPushService } = require('./lib/push');
+const { SMTP_CONFIG, createSmtpTransport } = require('./lib/smtp');
+const { createEmailChannel } = require('./lib/email');
+const { createWebhookChannel } = require('./lib/webhooks');
+const { ALERT_LEVEL_COLORS, STATUS_COLORS, getStatusColor, formatPlayerTitle, validateAlert, createAlertService } = require('./lib/alerts');
+const { createScheduler } = require('./lib/scheduler');
+const { normalizeTeam, ensureTeam, importPlayers } = require('./lib/registry');
+const { parseCsv, toCsv } = require('./lib/csv');
+const { DEFAULT_PREFERENCES, mergePreferences } = require('./lib/preferences');
+const { deviceLimitFor, inactiveReason, generateCode, parseCodeFields } = require('./lib/codes');
+const { EXPORT_COLUMNS, parseCodeImport, importCodes, exportRows } = require('./lib/codeImport');
+const { createEventHub } = require('./lib/events');
+const { parseListQuery, pageInfo } = require('./lib/pagination');
+const { DEFAULT_DORMANT_DAYS, parseRange, pivotPerDay, reachOf, activityOf, countBy } = require('./lib/analytics');
+const { parseTemplate, applyTemplate, renderDetails } = require('./lib/templates');
+const { parseGroup, groupMembers, expandGroups } = require('./lib/groups');
+const { INGEST_SECRET, verifySignature, parseUpdates, createIngestService } = require('./lib/ingest');
+const { DUPLICATE_POLICY, checkRecentAlerts } = require('./lib/duplicates');
+const { parseAuditQuery, createAuditLog } = require('./lib/audit');
+const { TRASH_RETENTION_DAYS, purgeDateOf, createRetentionService } = require('./lib/retention');
+const { sendError, errorHandler } = require('./lib/errors');
+const { validate, validateFields } = require('./lib/validation');
+const { RATE_LIMITS, createRateLimiter } = require('./lib/rateLimit');
+const schemas = require('./lib/schemas');
+
+function isValidPushToken(token) {
+  return token && token.startsWith('ExponentPushToken[');
+}
+
+// Returns a Date for a valid future send_at, otherwise null
+function parseSendAt(value) {
+  const sendAt = new Date(value);
+  if (isNaN(sendAt.getTime()) || sendAt <= new Date()) return null;
+  return sendAt;
+}
+
+// Answers 409 with the duplicate/conflict warnings unless the policy is "warn"
+// or the sender repeated the request with force: true. Returns true if it did.
+function rejectForWarnings(req, res, warnings) {
+  if (warnings.length === 0 || DUPLICATE_POLICY === 'warn' || req.body.force === true) return false;
+  sendError(res, 409, warnings[0].message, { code: 'duplicate_alert', warnings, requires_force: true });
+  return true;
+}
+
+function getAlertEmoji(level) {
+  const emojis = { low: 'ℹ️', medium: '⚠️', high: '🔥', monster: '🚨' };
+  return emojis[level?.toLowerCase()] || '📢';
+}
+
+// Email is only offered when SMTP_HOST is set
+function defaultChannels(storage) {
+  return {
+    email: SMTP_CONFIG.host ? createEmailChannel({ storage, transport: createSmtpTransport() }) : null,
+    webhook: createWebhookChannel({ storage })
+  };
+}
+
+// storage: from createStorage(); expo: an Expo client (test/mockExpo.js in tests).
+// rateLimits overrides RATE_LIMITS and rateLimitStore replaces the in-memory store.
+// Returns the app with the services routes use and start(), which prepares the
+// database and the background workers before the app is served.
+function createApp({ storage, expo, channels = defaultChannels(storage), rateLimits = {}, rateLimitStore } = {}) {
+  const app = express();
+
+  // The hosted server sits behind one proxy (Railway's edge), so by default req.ip is
+  // the client address that proxy put in X-Forwarded-For. Otherwise every client
+  // would share the proxy's address in the audit log and in the rate limits and
+  // lockouts of lib/rateLimit.js. TRUST_PROXY sets another hop count or Express trust
+  // value; use TRUST_PROXY=false when clients connect directly, or they could forge
+  // X-Forwarded-For to dodge the limits.
+  const trustProxy = process.env.TRUST_PROXY || '1';
+  if (trustProxy !== 'false') {
+    const hops = Number(trustProxy);
+    app.set('trust proxy', Number.isInteger(hops) ? hops : trustProxy);
+  }
+
+  // Comma-separated list of origins allowed to call the API from a browser.
+  // The dashboard is served from this server, so same-origin requests need no entry.
+  const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+  app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
+  // The raw body is kept for the ingest webhook's signature check
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use(express.static(path.join(__dirname, 'public')));
+
+  const auth = createAuth(storage);
+  const push = createPushService({ expo, storage });
+  const events = createEventHub();
+  const alerts = createAlertService({ storage, push, channels, events });
+  const scheduler = createScheduler({ storage, alerts });
+  const ingest = createIngestService({ storage, alerts, events });
+  const audit = createAuditLog(storage);
+  const retention = createRetentionService({ storage, audit });
+  const limits = { ...RATE_LIMITS, ...rateLimits };
+  const limiter = createRateLimiter({ store: rateLimitStore, audit, limits });
+
+  app.use(auth.authenticate);
+
+  // ============================================
+  // API: HEALTH CHECK
+  // ============================================
+
+  app.get('/api/health', async (req, res) => {
+    try {
+      await storage.ping();
+      res.json({ success: true, status: 'healthy', database: 'connected', streams: events.connectionCount() });
+    } catch (error) {
+      console.error('❌ Health check failed:', error);
+      sendError(res, 503, 'Database unavailable', { status: 'unhealthy' });
+    }
+  });
+
+  // ============================================
+  // API: ADMIN LOGIN / LOGOUT
+  // ============================================
+
+  app.post('/api/auth/login', validate(schemas.login), async (req, res, next) => {
+    try {
+      const { username, password } = req.body;
+      const admin = await storage.admins.findByUsername(username.toLowerCase());
+      if (!admin || !verifyPassword(password, admin.password_hash)) {
+        return sendError(res, 401, 'Invalid username or password', { code: 'invalid_credentials' });
+      }
+
+      const { token, expires_at } = await auth.createSession(admin);
+      await audit.record(req, {
+        action: 'auth.login', target_type: 'admin', target_id: admin.id, actor: admin.username, actor_type: 'admin'
+      });
+      res.json({
+        success: true,
+        token,
+        expires_at,
+        admin: { id: admin.id, username: admin.username, role: admin.role }
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/auth/logout', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      if (req.sessionTokenHash) {
+        await storage.sessions.remove(req.sessionTokenHash);
+      }
+      await audit.record(req, { action: 'auth.logout', target_type: 'admin', target_id: req.admin.id });
+      res.json({ success: true, message: 'Logged out' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/auth/me', auth.requireRole('editor'), (req, res) => {
+    res.json({ success: true, admin: req.admin });
+  });
+
+  // ============================================
+  // API: ADMIN ACCOUNTS (owner only)
+  // ============================================
+
+  app.get('/api/admins', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const admins = await storage.admins.list();
+      res.json({ success: true, admins });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/admins', auth.requireRole('owner'), validate(schemas.createAdmin), async (req, res, next) => {
+    try {
+      const { username, password, role } = req.body;
+      const normalizedUsername = username.toLowerCase();
+      if (await storage.admins.findByUsername(normalizedUsername)) {
+        return sendError(res, 409, 'Username already exists');
+      }
+
+      const id = uuidv4();
+      await storage.admins.insert({ id, username: normalizedUsername, password_hash: hashPassword(password), role });
+      const admin = await storage.admins.findById(id);
+      await audit.record(req, { action: 'admin.create', target_type: 'admin', target_id: id, after: admin });
+      res.json({ success: true, admin });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/admins/:id', auth.requireRole('owner'), validate(schemas.updateAdmin), async (req, res, next) => {
+    try {
+      const { role, password } = req.body;
+      const before = await storage.admins.findById(req.params.id);
+      const updated = await storage.admins.update(req.params.id, {
+        role,
+        password_hash: password ? hashPassword(password) : null
+      });
+      if (!updated) {
+        return sendError(res, 404, 'Admin not found');
+      }
+
+      // A password change signs the account out everywhere
+      if (password) await storage.sessions.removeForAdmin(req.params.id);
+
+      const admin = await storage.admins.findById(req.params.id);
+      await audit.record(req, {
+        action: 'admin.update', target_type: 'admin', target_id: req.params.id,
+        before, after: { ...admin, password_changed: Boolean(password) }
+      });
+      res.json({ success: true, admin });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/admins/:id', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      if (req.params.id === req.admin.id) {
+        return sendError(res, 400, 'You cannot delete your own account');
+      }
+
+      const before = await storage.admins.findById(req.params.id);
+      const deleted = await storage.admins.remove(req.params.id);
+      if (!deleted) {
+        return sendError(res, 404, 'Admin not found');
+      }
+      await storage.sessions.removeForAdmin(req.params.id);
+      await audit.record(req, { action: 'admin.delete', target_type: 'admin', target_id: req.params.id, before });
+      res.json({ success: true, message: 'Admin deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Issues a new API key, replacing any previous one. The key is only shown once.
+  app.post('/api/admins/:id/api-key', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const apiKey = generateToken('bm_');
+      const updated = await storage.admins.setApiKeyHash(req.params.id, hashToken(apiKey));
+      if (!updated) {
+        return sendError(res, 404, 'Admin not found');
+      }
+      await audit.record(req, { action: 'admin.api_key', target_type: 'admin', target_id: req.params.id });
+      res.json({ success: true, api_key: apiKey });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ADD VALID CODES
+  // ============================================
+
+  app.post('/api/add-valid-codes', auth.requireRole('owner'), validate(schemas.addCodes), async (req, res, next) => {
+    try {
+      const { codes } = req.body;
+      const plan = await importCodes(storage, codes.map(item => (typeof item === 'string' ? { code: item } : item)));
+      const results = {
+        added: plan.added.map(({ code, league_count = 1, device_limit }) => ({ code, league_count, device_limit: deviceLimitFor({ device_limit }) })),
+        skipped: plan.skipped.map(({ code }) => code),
+        errors: plan.invalid.map(({ code, reason }) => ({ code, reason }))
+      };
+
+      if (results.added.length > 0) {
+        await audit.record(req, { action: 'code.add', target_type: 'code', after: { added: results.added } });
+      }
+      res.json({
+        success: true,
+        message: `Processed ${codes.length} codes`,
+        added: results.added.length,
+        skipped: results.skipped.length,
+        errors: results.errors.length,
+        details: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GET VALID CODES
+  // ============================================
+
+  app.get('/api/valid-codes', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const codes = (await storage.codes.list()).map(code => ({ ...code, device_limit: deviceLimitFor(code) }));
+      res.json({ success: true, codes, total: codes.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: IMPORT / EXPORT VALID CODES
+  // ============================================
+
+  // ?format=csv downloads valid-codes.csv, which can be edited and imported again
+  app.get('/api/valid-codes/export', auth.requireRole('owner'), validate(schemas.exportCodes), async (req, res, next) => {
+    try {
+      const codes = exportRows(await storage.codes.listWithDeviceCounts());
+      if (req.query.format === 'csv') {
+        return res.type('text/csv').attachment('valid-codes.csv').send(toCsv(codes, EXPORT_COLUMNS));
+      }
+      res.json({ success: true, codes, total: codes.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Accepts { codes: [...] } as JSON, or a CSV body (Content-Type: text/csv) with a
+  // code column and any of league_count, device_limit, status, expires_at, plan,
+  // owner_email and note. ?dry_run=true only reports what would happen;
+  // ?upsert=true updates existing codes instead of skipping them.
+  app.post('/api/valid-codes/import', auth.requireRole('owner'), express.text({ type: 'text/csv', limit: '5mb' }), validate(schemas.importCodes), async (req, res, next) => {
+    try {
+      const { dry_run: dryRun = false, upsert = false } = req.query;
+      const { error, records } = parseCodeImport(req.body);
+      if (error) {
+        return sendError(res, 400, error);
+      }
+
+      const plan = await importCodes(storage, records, { upsert, dryRun });
+      if (!dryRun && (plan.added.length > 0 || plan.updated.length > 0)) {
+        await audit.record(req, {
+          action: 'code.import', target_type: 'code',
+          after: {
+            added: plan.added.map(({ row, ...code }) => code),
+            updated: plan.updated.map(({ row, ...code }) => code)
+          }
+        });
+      }
+      res.json({
+        success: true,
+        dry_run: dryRun,
+        message: `${dryRun ? 'Checked' : 'Processed'} ${records.length} codes`,
+        added: plan.added.length,
+        updated: plan.updated.length,
+        skipped: plan.skipped.length,
+        invalid: plan.invalid.length,
+        details: plan
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GENERATE CODES
+  // ============================================
+
+  // Creates count random codes sharing the given subscription fields
+  app.post('/api/valid-codes/generate', auth.requireRole('owner'), validate(schemas.generateCodes), async (req, res, next) => {
+    try {
+      const { count: total, length: codeLength = 8, prefix: upperPrefix = '', ...rest } = req.body;
+
+      const { error, fields } = parseCodeFields(rest);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const codes = await storage.transaction(async (tx) => {
+        const generated = new Set();
+        while (generated.size < total) {
+          const code = generateCode(codeLength, upperPrefix);
+          if (generated.has(code) || await tx.codes.find(code)) continue;
+          await tx.codes.insert({ code, ...fields });
+          generated.add(code);
+        }
+        return [...generated];
+      });
+
+      console.log(`🎟️ Generated ${codes.length} codes`);
+      await audit.record(req, { action: 'code.generate', target_type: 'code', after: { codes, ...fields } });
+      res.json({ success: true, codes, total: codes.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: UPDATE CODE
+  // ============================================
+
+  // Lowering device_limit keeps existing devices but blocks new registrations.
+  // A null device_limit goes back to DEFAULT_DEVICE_LIMIT.
+  app.put('/api/valid-codes/:code', auth.requireRole('owner'), validate(schemas.updateCode), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { error, fields } = parseCodeFields(req.body);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+      if (Object.keys(fields).length === 0) {
+        return sendError(res, 400, 'Nothing to update', { code: 'validation_failed' });
+      }
+
+      const before = await storage.codes.find(code);
+      if (!await storage.codes.update(code, fields)) {
+        return sendError(res, 404, 'Code not found');
+      }
+
+      const updated = await storage.codes.find(code);
+      await audit.record(req, { action: 'code.update', target_type: 'code', target_id: code, before, after: updated });
+      res.json({ success: true, code: { ...updated, device_limit: deviceLimitFor(updated) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: VERIFY CODE
+  // ============================================
+
+  const verifyLimit = limiter.limit('verify', [
+    { scope: 'ip', max: limits.verifyPerIp },
+    { scope: 'code', max: limits.perCode }
+  ]);
+
+  app.get('/api/verify/:code', validate(schemas.codeParam), verifyLimit, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const validCode = await storage.codes.find(code);
+
+      if (!validCode) {
+        await limiter.recordFailure(req);
+        res.json({ success: true, valid: false });
+      } else if (inactiveReason(validCode)) {
+        res.json({ success: true, valid: false, reason: inactiveReason(validCode) });
+      } else {
+        res.json({ success: true, valid: true, code: validCode.code, league_count: validCode.league_count });
+      }
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: DELETE CODE
+  // ============================================
+
+  app.delete('/api/delete-code/:code', auth.requireRole('owner'), validate(schemas.codeParam), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const before = await storage.codes.find(code);
+      const devices = before ? await storage.devices.listForCode(code) : [];
+
+      // The code's devices go with it, so their registrationIds stop working
+      const deleted = await storage.transaction(async (tx) => {
+        if (!await tx.codes.remove(code)) return false;
+        await tx.devices.removeForCode(code);
+        await tx.rosters.removeForUser(code);
+        await tx.preferences.remove(code);
+        await tx.channels.removeForUser(code);
+        return true;
+      });
+
+      if (!deleted) {
+        return sendError(res, 404, 'Code not found');
+      }
+      await audit.record(req, { action: 'code.delete', target_type: 'code', target_id: code, before: { ...before, devices } });
+      res.json({ success: true, message: `Code ${code} deleted successfully` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GET DEVICES
+  // ============================================
+
+  app.get('/api/devices', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      let devices = await storage.devices.listWithCodes();
+      // Push tokens and registration ids are credentials; only owners see them
+      if (req.admin.role !== 'owner') {
+        devices = devices.map(({ pushToken, registrationId, ...device }) => device);
+      }
+      res.json({ success: true, devices });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: REGISTER DEVICE
+  // ============================================
+
+  // Once a code has a device, registering is only accepted with proof that the caller
+  // holds the code already: the device's own X-Registration-Id (re-pointing it to a
+  // new token) or registration_secret set to the registrationId of one of the code's
+  // devices, also to re-register a known pushToken. Devices moved from the legacy
+  // table re-register once with their pushToken alone, since their old ids were
+  // replaced (see storage/migrations.js). REQUIRE_REGISTRATION_SECRET=false lets
+  // anyone with the code add a device while slots are free, as before.
+  const REQUIRE_REGISTRATION_SECRET = process.env.REQUIRE_REGISTRATION_SECRET !== 'false';
+
+  const registerLimit = limiter.limit('register', [
+    { scope: 'ip', max: limits.registerPerIp },
+    { scope: 'code', max: limits.perCode }
+  ]);
+
+  app.post('/api/register', validate(schemas.register), registerLimit, async (req, res, next) => {
+    try {
+      const { code, pushToken, device_name, registration_secret } = req.body;
+      const upperCode = code.toUpperCase();
+
+      const validCode = await storage.codes.find(upperCode);
+
+      if (!validCode) {
+        await limiter.recordFailure(req);
+        return sendError(res, 400, 'Invalid code. Contact administrator.', { code: 'invalid_code' });
+      }
+
+      const inactive = inactiveReason(validCode);
+      if (inactive) {
+        return sendError(res, 403, `This code is ${inactive}. Contact administrator.`, { code: 'code_inactive' });
+      }
+
+      if (!isValidPushToken(pushToken) && !pushToken.startsWith('simulator_token_')) {
+        return sendError(res, 400, 'Invalid push token format', { code: 'validation_failed', fields: { pushToken: 'is not an Expo push token' } });
+      }
+
+      const registrationId = uuidv4();
+      const deviceLimit = deviceLimitFor(validCode);
+
+      // A device re-registering (new token, or the same token again) keeps its slot
+      // and gets a fresh registrationId; anything else needs a free slot
+      const outcome = await storage.transaction(async (tx) => {
+        // Returns the refusal reason, or null when registration_secret is not needed or is right
+        async function secretRefusal() {
+          if (!REQUIRE_REGISTRATION_SECRET) return null;
+          if (!registration_secret) return 'registration_secret_required';
+          const holder = await tx.devices.findByRegistrationId(registration_secret);
+          return holder && holder.code === upperCode ? null : 'invalid_registration_secret';
+        }
+
+        const currentId = req.get('X-Registration-Id');
+        const current = currentId ? await tx.devices.findByRegistrationId(currentId) : null;
+        let existing = current && current.code === upperCode ? current : null;
+
+        if (!existing) {
+          existing = await tx.devices.findByCodeAndToken(upperCode, pushToken);
+          const refused = existing && !existing.migrated_at && await secretRefusal();
+          if (refused) return { registered: false, refused };
+        }
+
+        if (existing) {
+          await tx.devices.updateRegistration(existing.id, { pushToken, registrationId, device_name });
+          return { registered: true, device_id: existing.id, replaced: true };
+        }
+
+        const deviceCount = await tx.devices.countForCode(upperCode);
+        const refused = deviceCount > 0 && await secretRefusal();
+        if (refused) return { registered: false, refused };
+        if (deviceCount >= deviceLimit) {
+          return { registered: false };
+        }
+        await tx.devices.insert({ code: upperCode, pushToken, registrationId, device_name });
+        return { registered: true, replaced: false };
+      });
+
+      if (outcome.refused) {
+        const wrongSecret = outcome.refused === 'invalid_registration_secret';
+        if (wrongSecret) await limiter.recordFailure(req);
+        console.warn(`🚫 Registration refused for code ${upperCode}: ${outcome.refused}`);
+        await audit.record(req, {
+          action: 'device.register_refused', target_type: 'code', target_id: upperCode,
+          after: { reason: outcome.refused, device_name: device_name || null }
+        });
+        return sendError(res, 403, wrongSecret
+          ? 'Invalid registration secret.'
+          : 'This code is already registered on another device. Register with that device\'s registration secret, or ask the administrator to remove it.', {
+          code: outcome.refused
+        });
+      }
+
+      if (!outcome.registered) {
+        return sendError(res, 409, `This code already has the maximum of ${deviceLimit} device(s). Remove one before adding another.`, {
+          code: 'device_limit_reached'
+        });
+      }
+
+      console.log(`✅ Device registered with code: ${upperCode}`);
+      await audit.record(req, {
+        action: 'device.register', target_type: 'device', target_id: outcome.device_id || null,
+        actor: upperCode, actor_type: 'code_holder',
+        after: { code: upperCode, device_name: device_name || null, replaced: outcome.replaced }
+      });
+      res.json({ success: true, message: 'Device registered successfully', registrationId });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: SEND ALERT
+  // ============================================
+
+  // template_id fills status, alert_level and details the body leaves out;
+  // group_ids adds the members of recipient groups to users. An immediate send that
+  // repeats or contradicts a recent alert needs force: true (see lib/duplicates.js).
+  app.post('/api/alert', auth.requireRole('editor'), validate(schemas.sendAlert), async (req, res, next) => {
+    try {
+      let template = null;
+      if (req.body.template_id) {
+        template = await storage.templates.find(req.body.template_id);
+        if (!template) {
+          return sendError(res, 400, 'Unknown template_id', { code: 'validation_failed', fields: { template_id: 'does not exist' } });
+        }
+      }
+
+      // A player_id replaces the free-text title with one generated from the registry
+      const alert = await alerts.withPlayer(template ? applyTemplate(template, req.body) : req.body);
+      if (!alert) {
+        return sendError(res, 400, 'Unknown player_id', { code: 'validation_failed', fields: { player_id: 'does not exist' } });
+      }
+
+      if (template && template.details && !req.body.details) {
+        const rendered = renderDetails(template.details, {
+          ...req.body.variables,
+          player: alert.player_name || alert.title,
+          title: alert.title,
+          team: alert.team,
+          status: alert.status,
+          alert_level: alert.alert_level
+        });
+        if (rendered.error) {
+          return sendError(res, 400, rendered.error, { code: 'validation_failed', fields: { variables: rendered.error } });
+        }
+        alert.details = rendered.details;
+      }
+
+      if (req.body.group_ids !== undefined) {
+        const expanded = await expandGroups(storage, req.body.group_ids, alert.users || []);
+        if (expanded.error) {
+          return sendError(res, 400, expanded.error, { code: 'validation_failed', fields: { group_ids: expanded.error } });
+        }
+        if (req.body.group_ids.length > 0 && expanded.users.length === 0) {
+          return sendError(res, 400, 'The selected groups have no members', { code: 'no_recipients' });
+        }
+        alert.users = expanded.users;
+      }
+
+      const { title, status, status_color, alert_level, details, users, player_id, team } = alert;
+      const invalid = validateAlert(alert);
+      if (invalid) {
+        return sendError(res, 400, invalid.error, { code: 'validation_failed', fields: invalid.fields });
+      }
+
+      // With send_at the alert is queued and sent later by the scheduler
+      if (req.body.send_at) {
+        const sendAt = parseSendAt(req.body.send_at);
+        if (!sendAt) {
+          return sendError(res, 400, 'send_at must be a valid future date/time', { code: 'validation_failed', fields: { send_at: 'must be in the future' } });
+        }
+
+        const id = uuidv4();
+        const scheduled = {
+          id,
+          title,
+          status,
+          status_color: getStatusColor(status, status_color),
+          alert_level,
+          details: details || '',
+          users: users || [],
+          player_id,
+          team,
+          send_at: sendAt,
+          created_by: req.admin.username
+        };
+        await storage.scheduledAlerts.insert(scheduled);
+        await audit.record(req, { action: 'alert.schedule', target_type: 'scheduled_alert', target_id: id, after: scheduled });
+        return res.json({ success: true, scheduled: true, scheduled_id: id, send_at: sendAt });
+      }
+
+      if ((await alerts.resolveRecipients(alert)).length === 0) {
+        return sendError(res, 400, 'No users have this player on a roster', { code: 'no_recipients' });
+      }
+
+      const warnings = await checkRecentAlerts(storage, alert);
+      if (rejectForWarnings(req, res, warnings)) return;
+
+      const result = await alerts.send({ title, status, status_color, alert_level, details, users, player_id, team });
+      await audit.record(req, {
+        action: 'alert.send', target_type: 'alert', target_id: result.alert_id,
+        after: { title, status, alert_level, details, player_id, team, users, recipients: result.total, forced: warnings.length > 0 }
+      });
+      res.json({ success: true, ...result, warnings });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ALERT TEMPLATES
+  // ============================================
+
+  app.get('/api/templates', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const templates = await storage.templates.list();
+      res.json({ success: true, templates });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/templates', auth.requireRole('editor'), validate(schemas.template), async (req, res, next) => {
+    try {
+      const { error, fields } = parseTemplate(req.body);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+      if (await storage.templates.findByName(fields.name)) {
+        return sendError(res, 409, `A template named "${fields.name}" already exists`);
+      }
+
+      const id = uuidv4();
+      await storage.templates.insert({ id, ...fields, created_by: req.admin.username });
+      const template = await storage.templates.find(id);
+      await audit.record(req, { action: 'template.create', target_type: 'template', target_id: id, after: template });
+      res.json({ success: true, template });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/templates/:id', auth.requireRole('editor'), validate(schemas.template), async (req, res, next) => {
+    try {
+      const { error, fields } = parseTemplate(req.body, { partial: true });
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+      const existing = fields.name && await storage.templates.findByName(fields.name);
+      if (existing && existing.id !== req.params.id) {
+        return sendError(res, 409, `A template named "${fields.name}" already exists`);
+      }
+
+      const before = await storage.templates.find(req.params.id);
+      if (!await storage.templates.update(req.params.id, fields)) {
+        return sendError(res, 404, 'Template not found');
+      }
+      const template = await storage.templates.find(req.params.id);
+      await audit.record(req, { action: 'template.update', target_type: 'template', target_id: req.params.id, before, after: template });
+      res.json({ success: true, template });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/templates/:id', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const before = await storage.templates.find(req.params.id);
+      if (!await storage.templates.remove(req.params.id)) {
+        return sendError(res, 404, 'Template not found');
+      }
+      await audit.record(req, { action: 'template.delete', target_type: 'template', target_id: req.params.id, before });
+      res.json({ success: true, message: 'Template deleted' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: RECIPIENT GROUPS
+  // ============================================
+
+  // Each group comes with member_count, resolved now
+  app.get('/api/groups', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const groups = await storage.groups.list();
+      for (const group of groups) {
+        group.member_count = (await groupMembers(storage, group)).length;
+      }
+      res.json({ success: true, groups });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/groups/:id/members', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const group = await storage.groups.find(req.params.id);
+      if (!group) {
+        return sendError(res, 404, 'Group not found');
+      }
+      res.json({ success: true, group, members: await groupMembers(storage, group) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/groups', auth.requireRole('editor'), validate(schemas.group), async (req, res, next) => {
+    try {
+      const { error, fields } = parseGroup(req.body);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+      if (await storage.groups.findByName(fields.name)) {
+        return sendError(res, 409, `A group named "${fields.name}" already exists`);
+      }
+
+      const id = uuidv4();
+      await storage.groups.insert({ id, ...fields, created_by: req.admin.username });
+      const group = await storage.groups.find(id);
+      await audit.record(req, { action: 'group.create', target_type: 'group', target_id: id, after: group });
+      res.json({ success: true, group });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/groups/:id', auth.requireRole('editor'), validate(schemas.group), async (req, res, next) => {
+    try {
+      const { error, fields } = parseGroup(req.body, { partial: true });
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+      const existing = fields.name && await storage.groups.findByName(fields.name);
+      if (existing && existing.id !== req.params.id) {
+        return sendError(res, 409, `A group named "${fields.name}" already exists`);
+      }
+
+      const before = await storage.groups.find(req.params.id);
+      if (!await storage.groups.update(req.params.id, fields)) {
+        return sendError(res, 404, 'Group not found');
+      }
+      const group = await storage.groups.find(req.params.id);
+      await audit.record(req, { action: 'group.update', target_type: 'group', target_id: req.params.id, before, after: group });
+      res.json({ success: true, group });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/groups/:id', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const before = await storage.groups.find(req.params.id);
+      if (!await storage.groups.remove(req.params.id)) {
+        return sendError(res, 404, 'Group not found');
+      }
+      await audit.record(req, { action: 'group.delete', target_type: 'group', target_id: req.params.id, before });
+      res.json({ success: true, message: 'Group deleted' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: TEAMS
+  // ============================================
+
+  app.get('/api/teams', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const teams = await storage.teams.list();
+      res.json({ success: true, teams });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/teams', auth.requireRole('editor'), validate(schemas.createTeam), async (req, res, next) => {
+    try {
+      const abbreviation = normalizeTeam(req.body.abbreviation);
+      const { name } = req.body;
+
+      if (!await ensureTeam(storage, abbreviation, name)) {
+        return sendError(res, 409, `Team ${abbreviation} already exists`);
+      }
+      const team = await storage.teams.find(abbreviation);
+      await audit.record(req, { action: 'team.create', target_type: 'team', target_id: abbreviation, after: team });
+      res.json({ success: true, team });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/teams/:abbreviation', auth.requireRole('editor'), validate(schemas.updateTeam), async (req, res, next) => {
+    try {
+      const abbreviation = normalizeTeam(req.params.abbreviation);
+      const { name } = req.body;
+
+      const before = await storage.teams.find(abbreviation);
+      if (!await storage.teams.update(abbreviation, { name })) {
+        return sendError(res, 404, 'Team not found');
+      }
+      const team = await storage.teams.find(abbreviation);
+      await audit.record(req, { action: 'team.update', target_type: 'team', target_id: abbreviation, before, after: team });
+      res.json({ success: true, team });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/teams/:abbreviation', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const abbreviation = normalizeTeam(req.params.abbreviation);
+      if (await storage.players.countForTeam(abbreviation) > 0) {
+        return sendError(res, 409, 'Team still has players; move or deactivate them first');
+      }
+
+      const before = await storage.teams.find(abbreviation);
+      if (!await storage.teams.remove(abbreviation)) {
+        return sendError(res, 404, 'Team not found');
+      }
+      await audit.record(req, { action: 'team.delete', target_type: 'team', target_id: abbreviation, before });
+      res.json({ success: true, message: `Team ${abbreviation} deleted successfully` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: PLAYERS
+  // ============================================
+
+  app.get('/api/players', auth.requireRole('editor'), validate(schemas.listPlayers), async (req, res, next) => {
+    try {
+      const { q, team } = req.query;
+      const players = await storage.players.list({
+        q,
+        team: team && normalizeTeam(team),
+        includeInactive: req.query.include_inactive === true,
+        limit: Math.min(req.query.limit || 50, 500)
+      });
+      res.json({ success: true, players: players.map(p => ({ ...p, title: formatPlayerTitle(p) })) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/players/:id', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const player = await storage.players.findById(req.params.id);
+      if (!player) {
+        return sendError(res, 404, 'Player not found');
+      }
+      res.json({ success: true, player: { ...player, title: formatPlayerTitle(player) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Who an alert for this player would reach with roster targeting
+  app.get('/api/players/:id/owners', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const owners = await storage.rosters.findOwners(req.params.id);
+      res.json({ success: true, owners, total: owners.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/players', auth.requireRole('editor'), validate(schemas.createPlayer), async (req, res, next) => {
+    try {
+      const { name, positions = '' } = req.body;
+      const team = normalizeTeam(req.body.team);
+
+      await ensureTeam(storage, team, req.body.team_name);
+      const id = uuidv4();
+      await storage.players.insert({
+        id,
+        name,
+        team,
+        positions,
+        external_id: req.body.external_id || null
+      });
+
+      const player = await storage.players.findById(id);
+      await audit.record(req, { action: 'player.create', target_type: 'player', target_id: id, after: player });
+      res.json({ success: true, player: { ...player, title: formatPlayerTitle(player) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/players/:id', auth.requireRole('editor'), validate(schemas.updatePlayer), async (req, res, next) => {
+    try {
+      const { name, team, positions, external_id, is_active } = req.body;
+      const fields = {
+        name,
+        team: team !== undefined ? normalizeTeam(team) : undefined,
+        positions,
+        external_id,
+        is_active: is_active !== undefined ? (is_active ? 1 : 0) : undefined
+      };
+
+      const before = await storage.players.findById(req.params.id);
+      if (!before) {
+        return sendError(res, 404, 'Player not found');
+      }
+      if (fields.team) await ensureTeam(storage, fields.team);
+      if (!await storage.players.update(req.params.id, fields)) {
+        return sendError(res, 404, 'Player not found');
+      }
+
+      const player = await storage.players.findById(req.params.id);
+      await audit.record(req, { action: 'player.update', target_type: 'player', target_id: req.params.id, before, after: player });
+      res.json({ success: true, player: { ...player, title: formatPlayerTitle(player) } });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Players referenced by past alerts are deactivated rather than removed
+  app.delete('/api/players/:id', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const before = await storage.players.findById(req.params.id);
+      if (!await storage.players.update(req.params.id, { is_active: 0 })) {
+        return sendError(res, 404, 'Player not found');
+      }
+      await audit.record(req, {
+        action: 'player.deactivate', target_type: 'player', target_id: req.params.id, before, after: { ...before, is_active: 0 }
+      });
+      res.json({ success: true, message: 'Player deactivated' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Accepts { players: [...] } as JSON, or a CSV body (Content-Type: text/csv)
+  // with columns name, team, positions, external_id and optional team_name
+  app.post('/api/players/import', auth.requireRole('owner'), express.text({ type: 'text/csv', limit: '5mb' }), async (req, res, next) => {
+    try {
+      const records = typeof req.body === 'string' ? parseCsv(req.body) : req.body.players;
+      if (!Array.isArray(records) || records.length === 0) {
+        return sendError(res, 400, 'players array or CSV rows are required');
+      }
+
+      const results = await importPlayers(storage, records);
+      await audit.record(req, {
+        action: 'player.import', target_type: 'player',
+        after: { added: results.added, updated: results.updated, errors: results.errors.length }
+      });
+      res.json({
+        success: true,
+        message: `Processed ${records.length} players`,
+        added: results.added.length,
+        updated: results.updated.length,
+        errors: results.errors.length,
+        details: results
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: SCHEDULED ALERTS
+  // ============================================
+
+  app.get('/api/alerts/scheduled', auth.requireRole('editor'), validate(schemas.listScheduled), async (req, res, next) => {
+    try {
+      const state = req.query.state || 'pending';
+      const scheduled = await storage.scheduledAlerts.list(state === 'all' ? {} : { state });
+      res.json({ success: true, scheduled });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/alerts/scheduled/:id', auth.requireRole('editor'), validate(schemas.updateScheduled), async (req, res, next) => {
+    try {
+      const { status, status_color, alert_level, details, users, send_at } = req.body;
+      const withPlayer = await alerts.withPlayer(req.body);
+      if (!withPlayer) {
+        return sendError(res, 400, 'Unknown player_id', { code: 'validation_failed', fields: { player_id: 'does not exist' } });
+      }
+      const { title, player_id, team } = withPlayer;
+      const fields = { title, status, alert_level, details, users, player_id, team };
+
+      if (send_at !== undefined) {
+        fields.send_at = parseSendAt(send_at);
+        if (!fields.send_at) {
+          return sendError(res, 400, 'send_at must be a valid future date/time', { code: 'validation_failed', fields: { send_at: 'must be in the future' } });
+        }
+      }
+      if (status !== undefined || status_color !== undefined) {
+        fields.status_color = getStatusColor(status, status_color);
+      }
+
+      const before = await storage.scheduledAlerts.findById(req.params.id);
+      const updated = await storage.scheduledAlerts.update(req.params.id, fields);
+      if (!updated) {
+        return sendError(res, 404, 'Pending scheduled alert not found');
+      }
+      const scheduled = await storage.scheduledAlerts.findById(req.params.id);
+      await audit.record(req, {
+        action: 'scheduled.update', target_type: 'scheduled_alert', target_id: req.params.id, before, after: scheduled
+      });
+      res.json({ success: true, scheduled });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/alerts/scheduled/:id', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const before = await storage.scheduledAlerts.findById(req.params.id);
+      const cancelled = await storage.scheduledAlerts.cancel(req.params.id);
+      if (!cancelled) {
+        return sendError(res, 404, 'Pending scheduled alert not found');
+      }
+      await audit.record(req, { action: 'scheduled.cancel', target_type: 'scheduled_alert', target_id: req.params.id, before });
+      res.json({ success: true, message: 'Scheduled alert cancelled' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: INJURY FEED INGEST
+  // ============================================
+
+  // Signed with INGEST_SECRET (see verifySignature in lib/ingest.js). Takes
+  // { updates: [...] }, a JSON array, or CSV rows (Content-Type: text/csv) with
+  // player_id/external_id/name, team, status, details and reported_at.
+  app.post('/api/ingest', express.text({ type: 'text/csv', limit: '5mb' }), async (req, res, next) => {
+    try {
+      if (!INGEST_SECRET) {
+        return sendError(res, 503, 'Ingest webhook is not configured', { code: 'not_configured' });
+      }
+
+      const rawBody = typeof req.body === 'string' ? req.body : req.rawBody;
+      if (!verifySignature(INGEST_SECRET, rawBody, req.get('X-Ingest-Signature'))) {
+        return sendError(res, 401, 'Invalid signature', { code: 'invalid_signature' });
+      }
+
+      const records = parseUpdates(req.body);
+      if (!records || records.length === 0) {
+        return sendError(res, 400, 'updates array or CSV rows are required');
+      }
+
+      const source = req.get('X-Ingest-Source') || 'webhook';
+      const summary = await ingest.ingest(records, source);
+      await audit.record(req, { action: 'feed.ingest', target_type: 'feed', actor: source, actor_type: 'webhook', after: summary });
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: DRAFT ALERTS
+  // ============================================
+
+  app.get('/api/drafts', auth.requireRole('editor'), validate(schemas.listDrafts), async (req, res, next) => {
+    try {
+      const drafts = await storage.drafts.list({
+        state: req.query.state || 'pending',
+        limit: Math.min(req.query.limit || 100, 500)
+      });
+      res.json({ success: true, drafts });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // alert_level and details may be changed on approval. Drafts for registry players
+  // go to the player's roster owners unless users or group_ids are given.
+  app.post('/api/drafts/:id/approve', auth.requireRole('editor'), validate(schemas.approveDraft), async (req, res, next) => {
+    try {
+      const draft = await storage.drafts.findById(req.params.id);
+      if (!draft) {
+        return sendError(res, 404, 'Draft not found');
+      }
+      if (draft.state !== 'pending') {
+        return sendError(res, 409, `Draft is already ${draft.state}`, { code: 'already_reviewed' });
+      }
+
+      const alert_level = (req.body.alert_level || draft.alert_level).toLowerCase();
+
+      const expanded = await expandGroups(storage, req.body.group_ids || [], req.body.users || []);
+      if (expanded.error) {
+        return sendError(res, 400, expanded.error, { code: 'validation_failed', fields: { group_ids: expanded.error } });
+      }
+      if (!draft.player_id && expanded.users.length === 0) {
+        return sendError(res, 400, 'This player is not in the registry; choose users or group_ids', { code: 'no_recipients' });
+      }
+
+      const alert = {
+        title: draft.title,
+        status: draft.status,
+        status_color: getStatusColor(draft.status),
+        alert_level,
+        details: req.body.details !== undefined ? req.body.details : draft.details,
+        users: expanded.users,
+        player_id: draft.player_id,
+        team: draft.team
+      };
+      const invalid = validateAlert(alert);
+      if (invalid) {
+        return sendError(res, 400, invalid.error, { code: 'validation_failed', fields: invalid.fields });
+      }
+      if ((await alerts.resolveRecipients(alert)).length === 0) {
+        return sendError(res, 400, 'No users have this player on a roster', { code: 'no_recipients' });
+      }
+
+      const warnings = await checkRecentAlerts(storage, alert);
+      if (rejectForWarnings(req, res, warnings)) return;
+
+      const result = await ingest.sendDraft(draft, alert, req.admin.username);
+      if (!result) {
+        return sendError(res, 409, 'Draft was already reviewed', { code: 'already_reviewed' });
+      }
+      await audit.record(req, {
+        action: 'draft.approve', target_type: 'draft', target_id: draft.id,
+        before: draft, after: { ...alert, alert_id: result.alert_id, forced: warnings.length > 0 }
+      });
+      res.json({ success: true, ...result, warnings });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/drafts/:id/reject', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      if (!await storage.drafts.reject(req.params.id, req.admin.username)) {
+        const draft = await storage.drafts.findById(req.params.id);
+        return draft
+          ? sendError(res, 409, `Draft is already ${draft.state}`, { code: 'already_reviewed' })
+          : sendError(res, 404, 'Draft not found');
+      }
+      await audit.record(req, { action: 'draft.reject', target_type: 'draft', target_id: req.params.id });
+      res.json({ success: true, message: 'Draft rejected' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: CHECK NOTIFICATION SETTINGS
+  // ============================================
+
+  app.put('/api/user/:code/notifications', auth.requireCodeHolder, validate(schemas.toggleNotifications), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { enabled } = req.body;
+
+      // A device toggles only itself; editors toggle every device of the code
+      const updated = await storage.devices.setNotificationsEnabled(code, enabled, req.device ? req.device.id : null);
+
+      if (!updated) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      await audit.record(req, {
+        action: 'notifications.toggle', target_type: req.device ? 'device' : 'code',
+        target_id: req.device ? req.device.id : code, after: { code, notifications_enabled: enabled }
+      });
+      res.json({ success: true, notifications_enabled: enabled});
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GET NOTIFICATION STATUS
+  // ============================================
+
+  app.get('/api/user/:code/notifications-status', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+
+      const devices = req.device ? [req.device] : await storage.devices.listForCode(code);
+
+      if (devices.length === 0) {
+        return sendError(res, 404, 'User not found');
+      }
+
+      // BIT comes back as a boolean from Azure SQL and as 0/1 from SQLite
+      res.json({ 
+        success: true, 
+        notifications_enabled: devices.some(device => Boolean(device.notifications_enabled))
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: USER DEVICES
+  // ============================================
+
+  app.get('/api/user/:code/devices', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const validCode = await storage.codes.find(code);
+      if (!validCode) {
+        return sendError(res, 404, 'Code not found');
+      }
+
+      // registrationId is the device's credential, so it is never listed
+      const devices = (await storage.devices.listForCode(code)).map(({ registrationId, pushToken, ...device }) => ({
+        ...device,
+        notifications_enabled: Boolean(device.notifications_enabled),
+        has_push_token: Boolean(pushToken),
+        current: req.device ? req.device.id === device.id : false
+      }));
+
+      res.json({ success: true, devices, device_limit: deviceLimitFor(validCode) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/user/:code/devices/:id', auth.requireCodeHolder, validate(schemas.removeDevice), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const before = (await storage.devices.listForCode(code)).find(device => device.id === req.params.id);
+      const removed = await storage.devices.remove(code, req.params.id);
+
+      if (!removed) {
+        return sendError(res, 404, 'Device not found');
+      }
+
+      await audit.record(req, { action: 'device.delete', target_type: 'device', target_id: req.params.id, before });
+      console.log(`📵 Device ${req.params.id} removed from code ${code}`);
+      res.json({ success: true, message: 'Device removed' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: DELIVERY CHANNELS (email, webhook)
+  // ============================================
+
+  // Webhook secrets are never returned, only whether one is set
+  function channelSettingOf({ channel, target, format, secret, is_enabled, updated_at }) {
+    return { channel, target, format, has_secret: Boolean(secret), is_enabled: Boolean(is_enabled), updated_at };
+  }
+
+  // For the audit log: a webhook URL is a credential, so only its origin is kept
+  function describeChannel({ channel, target, format, is_enabled }) {
+    return { channel, target: channel === 'webhook' ? new URL(target).origin : target, format, is_enabled };
+  }
+
+  app.get('/api/user/:code/channels', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const settings = await storage.channels.listForCode(req.params.code.toUpperCase());
+      res.json({
+        success: true,
+        channels: settings.map(channelSettingOf),
+        available: ['push', ...Object.keys(channels).filter(name => channels[name])]
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/user/:code/channels/:channel', auth.requireCodeHolder, validate(schemas.saveChannel), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { channel } = req.params;
+      if (!channels[channel]) {
+        return sendError(res, 503, `${channel} delivery is not configured on this server`, { code: 'not_configured' });
+      }
+      const checked = validateFields(schemas.channelTargets[channel], req.body);
+      if (checked.error) {
+        return sendError(res, 400, checked.error, { code: 'validation_failed', fields: checked.fields });
+      }
+
+      const before = await storage.channels.find(code, channel);
+      const current = before || { format: null, secret: null, is_enabled: 1 };
+      const { target, format, secret, enabled } = req.body;
+      await storage.channels.upsert({
+        user_code: code,
+        channel,
+        target,
+        format: channel === 'webhook' ? format || current.format || 'json' : null,
+        secret: channel === 'webhook' && secret !== undefined ? secret : current.secret,
+        is_enabled: enabled !== undefined ? (enabled ? 1 : 0) : current.is_enabled
+      });
+
+      const setting = await storage.channels.find(code, channel);
+      await audit.record(req, {
+        action: 'channel.update', target_type: 'code', target_id: code,
+        before: before && describeChannel(before), after: describeChannel(setting)
+      });
+      res.json({ success: true, channel: channelSettingOf(setting) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.delete('/api/user/:code/channels/:channel', auth.requireCodeHolder, validate(schemas.channelParam), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const before = await storage.channels.find(code, req.params.channel);
+      if (!await storage.channels.remove(code, req.params.channel)) {
+        return sendError(res, 404, 'Channel not set up');
+      }
+      await audit.record(req, { action: 'channel.delete', target_type: 'code', target_id: code, before: describeChannel(before) });
+      res.json({ success: true, message: `${req.params.channel} channel removed` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Sends a test message so a code holder can check the address or URL
+  app.post('/api/user/:code/channels/:channel/test', auth.requireCodeHolder, validate(schemas.channelParam), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { channel } = req.params;
+      const setting = await storage.channels.find(code, channel);
+      if (!setting) {
+        return sendError(res, 404, 'Channel not set up');
+      }
+      if (!channels[channel]) {
+        return sendError(res, 503, `${channel} delivery is not configured on this server`, { code: 'not_configured' });
+      }
+
+      const content = {
+        title: 'Basketball Monster test alert',
+        body: `Alerts for ${code} will arrive here.`,
+        data: { type: 'test' }
+      };
+      try {
+        await channels[channel].deliver(channels[channel].buildMessage(content, setting));
+      } catch (error) {
+        return sendError(res, 502, `Test ${channel} could not be delivered: ${error.message}`, { code: 'delivery_failed' });
+      }
+      res.json({ success: true, message: `Test ${channel} sent` });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: NOTIFICATION PREFERENCES
+  // ============================================
+
+  app.get('/api/user/:code/preferences', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { user_code, updated_at, ...preferences } = await storage.preferences.find(code) || DEFAULT_PREFERENCES;
+
+      res.json({ success: true, preferences });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Fields left out of the body keep their current value; null resets one
+  app.put('/api/user/:code/preferences', auth.requireCodeHolder, validate(schemas.preferences), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { user_code, updated_at, ...current } = await storage.preferences.find(code) || DEFAULT_PREFERENCES;
+
+      const { error, preferences } = mergePreferences(current, req.body || {});
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      await storage.preferences.upsert({ user_code: code, ...preferences });
+      await audit.record(req, { action: 'preferences.update', target_type: 'code', target_id: code, before: current, after: preferences });
+      res.json({ success: true, preferences });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GET USER ALERTS
+  // ============================================
+
+  // ?unread=true lists only alerts not yet read; unread_count is always the whole inbox's
+  app.get('/api/user/:code/alerts', auth.requireCodeHolder, validate(schemas.listUserAlerts), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { error, ...options } = parseListQuery(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const page = await storage.userAlerts.listForUser(code, { ...options, unread: req.query.unread === true });
+      const unread_count = await storage.userAlerts.countUnread(code);
+      res.json({ success: true, alerts: page.rows, unread_count, ...pageInfo(page, options.sort) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/user/:code/alerts/:alert_id/revisions', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const alert = await storage.userAlerts.findForUser(code, req.params.alert_id);
+      if (!alert) {
+        return sendError(res, 404, 'Alert not found');
+      }
+
+      const revisions = await storage.revisions.listForAlert(req.params.alert_id);
+      res.json({
+        success: true,
+        alert_id: req.params.alert_id,
+        revisions: revisions.map(({ edited_by, notified_count, ...revision }) => revision)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: INBOX STATE (read, acknowledged, dismissed)
+  // ============================================
+
+  // For the app's badge
+  app.get('/api/user/:code/alerts/unread-count', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const unread_count = await storage.userAlerts.countUnread(req.params.code.toUpperCase());
+      res.json({ success: true, unread_count });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/user/:code/alerts/read-all', auth.requireCodeHolder, validate(schemas.markAllRead), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const before = req.body.before ? new Date(req.body.before) : null;
+      const marked = await storage.userAlerts.markAllRead(code, { before });
+
+      if (marked > 0) {
+        events.publish(`user:${code}`, 'alert.read_all', { before });
+        await audit.record(req, { action: 'alert.read_all', target_type: 'code', target_id: code, after: { marked, before } });
+      }
+      res.json({ success: true, marked, unread_count: await storage.userAlerts.countUnread(code) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Changes are published on the code's stream so its other devices update their inbox too
+  async function sendInboxState(req, res, code, alert_id, { action, event }) {
+    const { read_at, acknowledged_at } = await storage.userAlerts.findForUser(code, alert_id);
+    events.publish(`user:${code}`, event, { alert_id, read_at, acknowledged_at });
+    await audit.record(req, { action, target_type: 'alert', target_id: alert_id, after: { code, read_at, acknowledged_at } });
+    res.json({ success: true, alert_id, read_at, acknowledged_at, unread_count: await storage.userAlerts.countUnread(code) });
+  }
+
+  app.post('/api/user/:code/alerts/:alert_id/read', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      if (!await storage.userAlerts.markRead(code, req.params.alert_id)) {
+        return sendError(res, 404, 'Alert not found');
+      }
+      await sendInboxState(req, res, code, req.params.alert_id, { action: 'alert.read', event: 'alert.read' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post('/api/user/:code/alerts/:alert_id/acknowledge', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      if (!await storage.userAlerts.acknowledge(code, req.params.alert_id)) {
+        return sendError(res, 404, 'Alert not found');
+      }
+      await sendInboxState(req, res, code, req.params.alert_id, { action: 'alert.acknowledge', event: 'alert.acknowledged' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Clears the alert from this code's inbox only; DELETE /api/alerts/:alert_id removes it for everyone
+  app.delete('/api/user/:code/alerts/:alert_id', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { alert_id } = req.params;
+      if (!await storage.userAlerts.dismiss(code, alert_id)) {
+        return sendError(res, 404, 'Alert not found');
+      }
+
+      events.publish(`user:${code}`, 'alert.dismissed', { alert_id });
+      await audit.record(req, { action: 'alert.dismiss', target_type: 'alert', target_id: alert_id, after: { code } });
+      res.json({ success: true, message: 'Alert dismissed', unread_count: await storage.userAlerts.countUnread(code) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: USER ROSTERS
+  // ============================================
+
+  // Checks [{ league_number, player_ids }] against the code's league_count and the registry.
+  // Sends the error response and returns false when they do not fit.
+  async function checkRosterLeagues(res, code, leagues) {
+    const validCode = await storage.codes.find(code);
+    if (!validCode) {
+      sendError(res, 404, 'Code not found');
+      return false;
+    }
+
+    for (const league of leagues) {
+      if (league.league_number > validCode.league_count) {
+        sendError(res, 400, `league_number must be between 1 and ${validCode.league_count}`, {
+          code: 'validation_failed', fields: { league_number: `must be at most ${validCode.league_count}` }
+        });
+        return false;
+      }
+      for (const player_id of league.player_ids) {
+        if (!await storage.players.findById(player_id)) {
+          sendError(res, 400, `Unknown player_id ${player_id}`, { code: 'validation_failed', fields: { player_ids: `${player_id} does not exist` } });
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  function groupRoster(entries) {
+    const leagues = new Map();
+    for (const { league_number, ...player } of entries) {
+      if (!leagues.has(league_number)) leagues.set(league_number, { league_number, players: [] });
+      leagues.get(league_number).players.push({ ...player, title: formatPlayerTitle({ ...player }) });
+    }
+    return [...leagues.values()];
+  }
+
+  app.get('/api/user/:code/roster', auth.requireCodeHolder, async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const validCode = await storage.codes.find(code);
+      if (!validCode) {
+        return sendError(res, 404, 'Code not found');
+      }
+
+      const leagues = groupRoster(await storage.rosters.listForUser(code));
+      res.json({ success: true, league_count: validCode.league_count, leagues });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Replaces every league listed in { leagues: [{ league_number, player_ids }] }
+  app.put('/api/user/:code/roster', auth.requireCodeHolder, validate(schemas.replaceRoster), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const { leagues } = req.body;
+      if (!await checkRosterLeagues(res, code, leagues)) return;
+
+      await storage.transaction(async (tx) => {
+        for (const league of leagues) {
+          await tx.rosters.replaceLeague(code, league.league_number, league.player_ids);
+        }
+      });
+
+      await audit.record(req, { action: 'roster.update', target_type: 'code', target_id: code, after: { leagues } });
+      res.json({ success: true, leagues: groupRoster(await storage.rosters.listForUser(code)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.put('/api/user/:code/roster/:league_number', auth.requireCodeHolder, validate(schemas.replaceRosterLeague), async (req, res, next) => {
+    try {
+      const code = req.params.code.toUpperCase();
+      const league = { league_number: req.params.league_number, player_ids: req.body.player_ids };
+
+      if (!await checkRosterLeagues(res, code, [league])) return;
+
+      await storage.transaction(tx => tx.rosters.replaceLeague(code, league.league_number, league.player_ids));
+      await audit.record(req, { action: 'roster.update', target_type: 'code', target_id: code, after: { leagues: [league] } });
+      res.json({ success: true, leagues: groupRoster(await storage.rosters.listForUser(code)) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: GET NOTIFICATIONS
+  // ============================================
+
+  app.get('/api/notifications', auth.requireRole('editor'), validate(schemas.listAlerts), async (req, res, next) => {
+    try {
+      const { error, ...options } = parseListQuery(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const page = await storage.notifications.list(options);
+      const alertIds = page.rows.map(n => n.alert_id);
+      const deliveries = await storage.deliveries.summarize(alertIds);
+      const channelDeliveries = await storage.channelDeliveries.summarize(alertIds);
+      const engagement = await storage.userAlerts.summarizeEngagement(alertIds);
+      res.json({
+        success: true,
+        notifications: page.rows.map(n => ({
+          ...n,
+          delivery: deliveries[n.alert_id] || { sent: 0, delivered: 0, error: 0 },
+          channel_delivery: channelDeliveries[n.alert_id] || {},
+          engagement: engagement[n.alert_id] || { recipients: 0, read: 0, acknowledged: 0, dismissed: 0 }
+        })),
+        ...pageInfo(page, options.sort)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: SEARCH ALERTS
+  // ============================================
+
+  app.get('/api/alerts/search', auth.requireRole('editor'), validate(schemas.listAlerts), async (req, res, next) => {
+    try {
+      const { player, player_id, team, status, date, from, to, alert_level } = req.query;
+
+      if (!player && !player_id && !team && !status && !date && !from && !to && !alert_level) {
+        return sendError(res, 400, 'At least one search parameter required (player, player_id, team, status, date, from, to, or alert_level)', {
+          code: 'validation_failed'
+        });
+      }
+
+      const { error, ...options } = parseListQuery(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const page = await storage.notifications.list(options);
+
+      res.json({ 
+        success: true, 
+        results: page.rows,
+        count: page.rows.length,
+        ...pageInfo(page, options.sort)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ALERT DELIVERY STATUS
+  // ============================================
+
+  app.get('/api/alerts/:alert_id/deliveries', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const { alert_id } = req.params;
+      let deliveries = await storage.deliveries.listForAlert(alert_id);
+      if (req.admin.role !== 'owner') {
+        deliveries = deliveries.map(({ push_token, ...delivery }) => delivery);
+      }
+      const summary = (await storage.deliveries.summarize([alert_id]))[alert_id] || { sent: 0, delivered: 0, error: 0 };
+      // Webhook URLs carry their own credentials, so editors see only where an email went
+      let channelDeliveries = await storage.channelDeliveries.listForAlert(alert_id);
+      if (req.admin.role !== 'owner') {
+        channelDeliveries = channelDeliveries.map(delivery => delivery.channel === 'webhook' ? { ...delivery, target: null } : delivery);
+      }
+      res.json({ success: true, alert_id, summary, deliveries, channel_deliveries: channelDeliveries });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Runs the receipt check now instead of waiting for the background job
+  app.post('/api/push/check-receipts', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const result = await push.checkReceipts();
+      await audit.record(req, { action: 'push.check_receipts', after: result });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ALERT TRASH
+  // ============================================
+
+  // Deleted alerts, with the date the retention job will purge each one.
+  // Takes the same query parameters as /api/notifications.
+  app.get('/api/alerts/trash', auth.requireRole('editor'), validate(schemas.listAlerts), async (req, res, next) => {
+    try {
+      const { error, ...options } = parseListQuery(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const page = await storage.notifications.list({ ...options, deleted: true });
+      res.json({
+        success: true,
+        notifications: page.rows.map(n => ({ ...n, purge_at: purgeDateOf(n) })),
+        retention_days: TRASH_RETENTION_DAYS,
+        ...pageInfo(page, options.sort)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Purges every alert in the trash now
+  app.delete('/api/alerts/trash', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const result = await retention.emptyTrash();
+      await audit.record(req, { action: 'alert.empty_trash', after: result });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Brings a trashed alert back to the dashboard history and every recipient's inbox
+  app.post('/api/alerts/:alert_id/restore', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const { alert_id } = req.params;
+      const before = await storage.notifications.findByAlertId(alert_id);
+      if (!before) {
+        return sendError(res, 404, 'Alert not found');
+      }
+
+      const restored = await storage.transaction(async (tx) => {
+        if (!await tx.notifications.restore(alert_id)) return false;
+        await tx.userAlerts.restoreByAlertId(alert_id);
+        return true;
+      });
+      if (!restored) {
+        return sendError(res, 409, 'Alert is not in the trash', { code: 'not_in_trash' });
+      }
+
+      const notification = await storage.notifications.findByAlertId(alert_id);
+      alerts.publishChange('restored', await storage.userAlerts.listRecipients(alert_id), notification);
+      await audit.record(req, { action: 'alert.restore', target_type: 'alert', target_id: alert_id, before, after: notification });
+      res.json({ success: true, message: 'Alert restored', notification });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Only alerts already in the trash can be purged
+  app.delete('/api/alerts/:alert_id/purge', auth.requireRole('owner'), async (req, res, next) => {
+    try {
+      const { alert_id } = req.params;
+      const before = await storage.notifications.findByAlertId(alert_id);
+      if (!before) {
+        return sendError(res, 404, 'Alert not found');
+      }
+      if (!before.is_deleted) {
+        return sendError(res, 409, 'Delete the alert before purging it', { code: 'not_in_trash' });
+      }
+
+      await retention.purge([alert_id]);
+      await audit.record(req, { action: 'alert.purge', target_type: 'alert', target_id: alert_id, before });
+      res.json({ success: true, message: 'Alert permanently deleted' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: UPDATE ALERT
+  // ============================================
+
+  app.put('/api/alerts/:alert_id', auth.requireRole('editor'), validate(schemas.updateAlert), async (req, res, next) => {
+    try {
+      const { alert_id } = req.params;
+      const { notify, ...changes } = req.body;
+      if (!Object.keys(schemas.updateAlert.body).some(key => changes[key] !== undefined)) {
+        return sendError(res, 400, 'Nothing to update', { code: 'validation_failed' });
+      }
+
+      const previous = await storage.notifications.findByAlertId(alert_id);
+      if (!previous) {
+        return sendError(res, 404, 'Alert not found');
+      }
+
+      // Fields left out keep their current value; a player_id re-titles the alert from the registry
+      const edited = changes.player_id !== undefined
+        ? await alerts.withPlayer({ title: previous.title, ...changes })
+        : { ...changes, player_id: previous.player_id, team: previous.team };
+      if (!edited) {
+        return sendError(res, 400, 'Unknown player_id', { code: 'validation_failed', fields: { player_id: 'does not exist' } });
+      }
+
+      const status = edited.status || previous.status;
+      // The color follows a new status unless one is given alongside it
+      const status_color = changes.status === undefined && changes.status_color === undefined
+        ? previous.status_color
+        : getStatusColor(status, changes.status_color);
+
+      const fields = {
+        title: edited.title || previous.title,
+        status,
+        status_color,
+        alert_level: edited.alert_level || previous.alert_level,
+        details: edited.details !== undefined ? edited.details || '' : previous.details,
+        player_id: edited.player_id || null,
+        team: edited.team || null
+      };
+      // The alert, its inbox copies and the revision change together or not at all
+      const revision = await storage.transaction(async (tx) => {
+        await tx.userAlerts.updateByAlertId(alert_id, fields);
+        await tx.notifications.update(alert_id, fields);
+
+        // The first edit also records the original as revision 0
+        let latest = await tx.revisions.latestRevision(alert_id);
+        if (latest === null) {
+          latest = 0;
+          await tx.revisions.insert({ ...previous, revision: 0, created_at: previous.sent_at });
+        }
+        await tx.revisions.insert({ alert_id, revision: latest + 1, ...fields, edited_by: req.admin.username });
+        return latest + 1;
+      });
+
+      let pushCounts = null;
+      if (notify) {
+        pushCounts = await alerts.sendUpdate(alert_id, previous, fields, revision);
+        await storage.revisions.setNotifiedCount(alert_id, revision, pushCounts.sent);
+      }
+
+      const recipients = await storage.userAlerts.listRecipients(alert_id);
+      alerts.publishChange('updated', recipients, { alert_id, ...fields, revision });
+      await audit.record(req, {
+        action: 'alert.update', target_type: 'alert', target_id: alert_id,
+        before: previous, after: { ...fields, revision, notified: pushCounts ? pushCounts.sent : 0 }
+      });
+
+      res.json({ success: true, message: 'Alert updated successfully', revision, push: pushCounts });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ALERT REVISION HISTORY
+  // ============================================
+
+  app.get('/api/alerts/:alert_id/revisions', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const revisions = await storage.revisions.listForAlert(req.params.alert_id);
+      res.json({ success: true, alert_id: req.params.alert_id, revisions });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: DELETE ALERT
+  // ============================================
+
+  app.delete('/api/alerts/:alert_id', auth.requireRole('editor'), async (req, res, next) => {
+    try {
+      const { alert_id } = req.params;
+
+      const before = await storage.notifications.findByAlertId(alert_id);
+      const recipients = await storage.userAlerts.listRecipients(alert_id);
+      await storage.userAlerts.softDeleteByAlertId(alert_id);
+      await storage.notifications.softDelete(alert_id, req.admin.username);
+      alerts.publishChange('deleted', recipients, { alert_id });
+      if (before && !before.is_deleted) {
+        await audit.record(req, { action: 'alert.delete', target_type: 'alert', target_id: alert_id, before });
+      }
+
+      res.json({ success: true, message: 'Alert deleted successfully' });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: AUDIT LOG
+  // ============================================
+
+  // Newest first. action=alert matches every alert.* entry; action=alert.delete only that one.
+  app.get('/api/audit', auth.requireRole('owner'), validate(schemas.audit), async (req, res, next) => {
+    try {
+      const { error, ...options } = parseAuditQuery(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const page = await storage.audit.list(options);
+      res.json({ success: true, entries: page.rows, ...pageInfo(page, 'created_at') });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: ANALYTICS
+  // ============================================
+
+  // ?format=csv downloads rows as name.csv; otherwise body is returned as JSON
+  function sendReport(req, res, name, body, rows, columns) {
+    if (req.query.format === 'csv') {
+      res.type('text/csv').attachment(`${name}.csv`).send(toCsv(rows, columns));
+    } else {
+      res.json({ success: true, ...body });
+    }
+  }
+
+  app.get('/api/analytics/alerts-per-day', auth.requireRole('editor'), validate(schemas.analyticsRange), async (req, res, next) => {
+    try {
+      const { error, from, to } = parseRange(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const days = pivotPerDay(await storage.analytics.alertsPerDay({ from, to }), from, to);
+      sendReport(req, res, 'alerts-per-day', { from, to, days }, days,
+        ['day', 'low', 'medium', 'high', 'monster', 'other', 'total', 'recipients']);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/analytics/top-players', auth.requireRole('editor'), validate(schemas.topPlayers), async (req, res, next) => {
+    try {
+      const { error, from, to } = parseRange(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+      const players = await storage.analytics.topPlayers({ from, to, limit });
+      sendReport(req, res, 'top-players', { from, to, players }, players,
+        ['player_id', 'title', 'team', 'alerts', 'recipients']);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Who an alert would reach right now, plus what happened to alerts sent in the range
+  app.get('/api/analytics/reach', auth.requireRole('editor'), validate(schemas.analyticsRange), async (req, res, next) => {
+    try {
+      const { error, from, to } = parseRange(req.query);
+      if (error) {
+        return sendError(res, 400, error, { code: 'validation_failed' });
+      }
+
+      const codes = (await storage.analytics.codeDevices()).map(code => ({
+        code: code.code,
+        reach: reachOf(code),
+        devices: code.devices,
+        reachable_devices: code.reachable_devices
+      }));
+      const audience = {
+        reachable: 0, notifications_disabled: 0, no_push_token: 0, unregistered: 0, inactive: 0,
+        ...countBy(codes, 'reach')
+      };
+      const deliveries = await storage.analytics.deliveryTotals({ from, to });
+
+      sendReport(req, res, 'reach', { from, to, audience, deliveries }, codes,
+        ['code', 'reach', 'devices', 'reachable_devices']);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get('/api/analytics/codes', auth.requireRole('owner'), validate(schemas.codeActivity), async (req, res, next) => {
+    try {
+      const dormantDays = parseInt(req.query.dormant_days) || DEFAULT_DORMANT_DAYS;
+      const codes = (await storage.analytics.codeDevices()).map(code => ({
+        code: code.code,
+        plan: code.plan,
+        status: code.status,
+        expires_at: code.expires_at,
+        activity: activityOf(code, dormantDays),
+        devices: code.devices,
+        last_seen_at: code.last_seen_at
+      }));
+      const summary = { active: 0, dormant: 0, unregistered: 0, inactive: 0, ...countBy(codes, 'activity') };
+
+      sendReport(req, res, 'codes', { dormant_days: dormantDays, summary, codes }, codes,
+        ['code', 'plan', 'status', 'expires_at', 'activity', 'devices', 'last_seen_at']);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // ============================================
+  // API: LIVE STREAMS (Server-Sent Events)
+  // ============================================
+
+  // Every notification created, edited or deleted, for dashboards
+  app.get('/api/notifications/stream', auth.requireRole('editor'), (req, res) => {
+    events.stream(req, res, 'admin');
+  });
+
+  // The code's user_alerts as they are created, edited or deleted
+  app.get('/api/user/:code/alerts/stream', auth.requireCodeHolder, (req, res) => {
+    events.stream(req, res, `user:${req.params.code.toUpperCase()}`);
+  });
+
+  app.get('/api/status-colors', (req, res) => res.json({ success: true, colors: STATUS_COLORS }));
+  app.get('/api/alert-level-colors', (req, res) => res.json({ success: true, colors: ALERT_LEVEL_COLORS }));
+
+  app.use('/api', (req, res) => sendError(res, 404, `No route for ${req.method} ${req.originalUrl.split('?')[0]}`, { code: 'route_not_found' }));
+
+  app.use(errorHandler);
+
+  // Creates missing tables and the first owner, then starts the background workers
+  // unless workers is false (tests drive them directly)
+  async function start({ workers = true } = {}) {
+    await storage.init();
+    await auth.bootstrapOwner();
+    if (!workers) return;
+    push.startReceiptWorker();
+    await scheduler.start();
+    ingest.start();
+    retention.start();
+  }
+
+  return { app, storage, push, alerts, scheduler, retention, start };
+}
+
+module.exports = { createApp };
@@ -0,0 +1,332 @@
+// Alert fan-out shared by POST /api/alert and the scheduled-alert worker
+const { v4: uuidv4 } = require('uuid');
+const { pushBlockedReason } = require('./preferences');
+const { inactiveReason } = require('./codes');
+
+const ALERT_LEVEL_COLORS = {
+  low: { background: '#8C8C8CFF', text: '#FFFFFFFF' },
+  medium: { background: '#6699FFFF', text: '#FFFFFFFF' },
+  high: { background: '#E68A00FF', text: '#FFFFFFFF' },
+  monster: { background: '#CC3300FF', text: '#FFFFFFFF' }
+};
+
+const STATUS_COLORS = {
+  'Questionable': '#6699FFFF',
+  'Injured': '#EF4444FF',
+  'Starting': '#10B981FF',
+  'Note': '#6B7280FF',
+  'Doubtful': '#F97316FF',
+  'Out': '#DC2626FF',
+  'In Locker Room': '#F59E0BFF',
+  'Playing': '#059669FF',
+  'Off Injury Report': '#3B82F6FF'
+};
+
+function getStatusColor(status, status_color) {
+  return status_color || STATUS_COLORS[status] || '#6B7280FF';
+}
+
+// "LeBron James - LAL (SF/PF)", the format senders used to type by hand
+function formatPlayerTitle(player) {
+  const positions = player.positions ? ` (${player.positions})` : '';
+  return `${player.name} - ${player.team}${positions}`;
+}
+
+// The fields an alert needs once any template or player has been applied.
+// Without users, a player_id alert goes to everyone rostering that player.
+// Returns null, or { error, fields } naming each missing field.
+function validateAlert({ title, status, alert_level, users, player_id }) {
+  const fields = {};
+  if (!title) fields.title = 'is required';
+  if (!status) fields.status = 'is required';
+  if (!alert_level) fields.alert_level = 'is required';
+  if (!(users && users.length > 0) && !player_id) fields.users = 'is required unless player_id is given';
+
+  const missing = Object.keys(fields);
+  if (missing.length === 0) return null;
+  return { error: `Missing required fields: ${missing.join(', ')}`, fields };
+}
+
+// { title, body, data } of an alert, shared by every delivery channel
+function buildNotification({ alert_id, title, status, alert_level, details }, user) {
+  let notificationBody = `${title} - ${status}`;
+  if (alert_level.toLowerCase() === 'monster') notificationBody += ' (Monster)';
+
+  let notificationTitle = '';
+  if (alert_level.toLowerCase() === 'monster') notificationTitle += 'MONSTER ALERT - ';
+  notificationTitle += title;
+
+  return {
+    title: notificationTitle,
+    body: notificationBody,
+    data: { alert_id, status, alert_level, title, details, teams_affected: user.teams_affected }
+  };
+}
+
+// Follow-up for an edited alert, e.g. "Status update: Questionable → Out"
+function buildUpdateNotification(alert_id, previous, updated, revision, user) {
+  const notificationBody = previous.status !== updated.status
+    ? `Status update: ${previous.status} → ${updated.status}`
+    : `Update: ${updated.title} - ${updated.status}`;
+
+  let notificationTitle = '';
+  if (updated.alert_level.toLowerCase() === 'monster') notificationTitle += 'MONSTER ALERT - ';
+  notificationTitle += updated.title;
+
+  return {
+    title: notificationTitle,
+    body: notificationBody,
+    data: {
+      alert_id,
+      type: 'update',
+      revision,
+      previous_status: previous.status,
+      status: updated.status,
+      alert_level: updated.alert_level,
+      title: updated.title,
+      details: updated.details,
+      teams_affected: user.teams_affected
+    }
+  };
+}
+
+function buildPushMessage(notification, pushToken) {
+  return {
+    to: pushToken,
+    sound: 'default',
+    ...notification,
+    priority: 'high',
+    channelId: 'default',
+  };
+}
+
+// events is the live feed hub; every change is published to the recipients'
+// user channels and to the admin channel. channels holds the other delivery
+// channels by name (see lib/channels.js); one left out or null is not used.
+function createAlertService({ storage, push, channels = {}, events }) {
+  // Explicit users win; otherwise the owners of player_id, with teams_affected
+  // set to how many of their leagues roster the player
+  async function resolveRecipients({ users, player_id }) {
+    if (users && users.length > 0) return users;
+    if (!player_id) return [];
+
+    const owners = await storage.rosters.findOwners(player_id);
+    return owners.map(owner => ({ user_id: owner.user_code, teams_affected: owner.teams_affected }));
+  }
+
+  // Loads the valid_codes rows, devices, enabled channels and preferences of every
+  // recipient in one query per table, keyed by code
+  async function loadRecipientState(codes) {
+    const byCode = (rows, key) => new Map(rows.map(row => [row[key].toUpperCase(), row]));
+    const groupByCode = (rows, key) => {
+      const groups = new Map(codes.map(code => [code, []]));
+      for (const row of rows) groups.get(row[key].toUpperCase())?.push(row);
+      return groups;
+    };
+
+    return {
+      validCodes: byCode(await storage.codes.findMany(codes), 'code'),
+      devices: groupByCode(await storage.devices.listForCodes(codes), 'code'),
+      channels: groupByCode(
+        (await storage.channels.listEnabledForCodes(codes)).filter(setting => channels[setting.channel]),
+        'user_code'
+      ),
+      preferences: byCode(await storage.preferences.findMany(codes), 'user_code')
+    };
+  }
+
+  // Adds the recipient's push messages and a message for each of their channels
+  function addDeliveries(deliveries, userCode, content, devices, settings) {
+    for (const device of devices) {
+      deliveries.push.push({ user_code: userCode, message: buildPushMessage(content, device.pushToken) });
+    }
+    for (const setting of settings) {
+      deliveries[setting.channel].push({ user_code: userCode, message: channels[setting.channel].buildMessage(content, setting) });
+    }
+  }
+
+  function emptyDeliveries() {
+    return Object.fromEntries(['push', ...Object.keys(channels)].map(name => [name, []]));
+  }
+
+  function serviceFor(name) {
+    return name === 'push' ? push : channels[name];
+  }
+
+  // Stores the alert for every user with a device or a delivery channel whose code is
+  // active, and sends it to each device with notifications on and each enabled channel,
+  // unless the user's preferences filter it out. The user_alerts and notifications rows
+  // are written in one transaction; messages are sent in the background and recorded in
+  // push_deliveries and channel_deliveries.
+  // Returns { alert_id, successful, failed, total, push: { queued }, email: { queued },
+  // webhook: { queued }, targeted_by_roster }.
+  async function send({ title, status, status_color, alert_level, details, users, player_id = null, team = null }) {
+    const targetedByRoster = !(users && users.length > 0);
+    users = await resolveRecipients({ users, player_id });
+    const finalStatusColor = getStatusColor(status, status_color);
+    const alert_id = uuidv4();
+
+    // A code listed twice gets one inbox entry
+    const recipients = [...new Map(users.map(user => [user.user_id.toUpperCase(), user])).entries()];
+    const state = await loadRecipientState(recipients.map(([userCode]) => userCode));
+    const userAlerts = [];
+    const deliveries = emptyDeliveries();
+    let failed = 0;
+
+    for (const [userCode, user] of recipients) {
+      const devices = state.devices.get(userCode);
+      const settings = state.channels.get(userCode);
+      if (devices.length === 0 && settings.length === 0) {
+        console.log(`❌ User ${user.user_id} not registered`);
+        failed++;
+        continue;
+      }
+
+      // A code deleted since its devices registered counts as inactive
+      const validCode = state.validCodes.get(userCode);
+      const inactive = validCode ? inactiveReason(validCode) : 'deleted';
+      if (inactive) {
+        console.log(`⛔ User ${user.user_id} has a ${inactive} code - alert not added`);
+        failed++;
+        continue;
+      }
+
+      // ALWAYS add alert to user_alerts table (so they can see it in the app)
+      userAlerts.push({
+        alert_id,
+        user_code: userCode,
+        title,
+        status,
+        status_color: finalStatusColor,
+        alert_level,
+        details: details || '',
+        teams_affected: user.teams_affected || 0,
+        player_id,
+        team
+      });
+
+      // Only devices with notifications enabled get a push. A token is cleared
+      // after Expo reports the device as unregistered.
+      const targets = devices.filter(device => device.notifications_enabled && device.pushToken);
+      if (targets.length === 0 && settings.length === 0) {
+        console.log(`🔕 User ${user.user_id} has no device with notifications enabled - alert added but not sent`);
+        continue;
+      }
+
+      const blockedBy = pushBlockedReason(state.preferences.get(userCode), { status, alert_level });
+      if (blockedBy) {
+        console.log(`🔇 User ${user.user_id} filters out this alert (${blockedBy}) - alert added but not sent`);
+        continue;
+      }
+
+      const content = buildNotification({ alert_id, title, status, alert_level, details }, user);
+      addDeliveries(deliveries, userCode, content, targets, settings);
+    }
+
+    const notification = {
+      alert_id,
+      title,
+      status,
+      status_color: finalStatusColor,
+      alert_level,
+      details: details || '',
+      total_recipients: userAlerts.length,
+      player_id,
+      team
+    };
+    await storage.transaction(async (tx) => {
+      await tx.userAlerts.insertMany(userAlerts);
+      await tx.notifications.insert(notification);
+    });
+
+    const sent_at = new Date();
+    for (const userAlert of userAlerts) {
+      events.publish(`user:${userAlert.user_code}`, 'alert.created', { ...userAlert, sent_at });
+    }
+    events.publish('admin', 'notification.created', { ...notification, sent_at });
+
+    const queued = {};
+    for (const [name, entries] of Object.entries(deliveries)) {
+      queued[name] = { queued: entries.length };
+      if (entries.length === 0) continue;
+      serviceFor(name).send(alert_id, entries).catch(error => {
+        console.error(`❌ ${name} delivery for alert ${alert_id} failed:`, error);
+      });
+    }
+
+    return {
+      alert_id,
+      successful: userAlerts.length,
+      failed,
+      total: recipients.length,
+      ...queued,
+      targeted_by_roster: targetedByRoster
+    };
+  }
+
+  // Fills in title and team from the registry when the alert names a player_id.
+  // Returns null if the player does not exist.
+  async function withPlayer(alert) {
+    // team is only ever taken from the registry
+    if (!alert.player_id) return { ...alert, team: undefined };
+
+    const player = await storage.players.findById(alert.player_id);
+    if (!player) return null;
+    return { ...alert, player_id: player.id, team: player.team, title: formatPlayerTitle(player), player_name: player.name };
+  }
+
+  // Re-sends an edited alert to every device with notifications on and every enabled
+  // channel of its original recipients, skipping inactive codes and users whose
+  // preferences filter out the updated alert. Returns { sent, errored } across all
+  // channels, and the counts of each under channels.
+  async function sendUpdate(alert_id, previous, updated, revision) {
+    const recipients = await storage.userAlerts.listRecipients(alert_id);
+    const state = await loadRecipientState(recipients.map(recipient => recipient.user_code));
+    const deliveries = emptyDeliveries();
+
+    for (const recipient of recipients) {
+      const validCode = state.validCodes.get(recipient.user_code);
+      if (!validCode || inactiveReason(validCode)) continue;
+
+      const targets = state.devices.get(recipient.user_code).filter(device => device.notifications_enabled && device.pushToken);
+      const settings = state.channels.get(recipient.user_code);
+      if (targets.length === 0 && settings.length === 0) continue;
+      if (pushBlockedReason(state.preferences.get(recipient.user_code), updated)) continue;
+
+      const content = buildUpdateNotification(alert_id, previous, updated, revision, recipient);
+      addDeliveries(deliveries, recipient.user_code, content, targets, settings);
+    }
+
+    const counts = { sent: 0, errored: 0, channels: {} };
+    for (const [name, entries] of Object.entries(deliveries)) {
+      const result = await serviceFor(name).send(alert_id, entries, { revision });
+      counts.channels[name] = result;
+      counts.sent += result.sent;
+      counts.errored += result.errored;
+    }
+    return counts;
+  }
+
+  // type is "updated", "deleted" or "restored"; recipients come from
+  // userAlerts.listRecipients, read before a delete hides them
+  function publishChange(type, recipients, data) {
+    for (const recipient of recipients) {
+      events.publish(`user:${recipient.user_code}`, `alert.${type}`, data);
+    }
+    events.publish('admin', `notification.${type}`, data);
+  }
+
+  return { send, sendUpdate, withPlayer, resolveRecipients, publishChange };
+}
+
+module.exports = {
+  ALERT_LEVEL_COLORS,
+  STATUS_COLORS,
+  getStatusColor,
+  formatPlayerTitle,
+  validateAlert,
+  buildNotification,
+  buildUpdateNotification,
+  buildPushMessage,
+  createAlertService
+};
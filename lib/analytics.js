@@ -0,0 +1,77 @@
+// Reporting helpers for the /api/analytics endpoints
+const { inactiveReason } = require('./codes');
+const { parseDateBound } = require('./pagination');
+const { ALERT_LEVELS } = require('./preferences');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_DORMANT_DAYS = parseInt(process.env.DORMANT_DAYS) || 30;
+
+// from/to query params as { from, to } Dates with to exclusive; defaults to the last 30 days.
+// Returns { error } for unparseable dates.
+function parseRange(query) {
+  const to = query.to ? parseDateBound(query.to, { end: true }) : { date: new Date() };
+  const from = query.from
+    ? parseDateBound(query.from)
+    : { date: new Date(Date.now() - DEFAULT_RANGE_DAYS * DAY_MS) };
+
+  if (!from || !to) return { error: 'from and to must be dates' };
+  // An inclusive timestamp bound is nudged past itself so every query can use "<"
+  const toDate = to.exclusive === false ? new Date(to.date.getTime() + 1) : to.date;
+
+  if (toDate <= from.date) return { error: 'from must be before to' };
+  if (toDate - from.date > MAX_RANGE_DAYS * DAY_MS) return { error: `Ranges are limited to ${MAX_RANGE_DAYS} days` };
+  return { from: from.date, to: toDate };
+}
+
+// How an alert sent now would reach the code: reachable, notifications_disabled,
+// no_push_token, unregistered, or inactive (expired/suspended)
+function reachOf(code, now = new Date()) {
+  if (inactiveReason(code, now)) return 'inactive';
+  if (code.devices === 0) return 'unregistered';
+  if (code.reachable_devices > 0) return 'reachable';
+  if (code.tokenless_devices === code.devices) return 'no_push_token';
+  return 'notifications_disabled';
+}
+
+// active: app used within dormantDays; dormant: registered but quiet since;
+// unregistered: no device; inactive: expired or suspended
+function activityOf(code, dormantDays = DEFAULT_DORMANT_DAYS, now = new Date()) {
+  if (inactiveReason(code, now)) return 'inactive';
+  if (code.devices === 0) return 'unregistered';
+  const lastSeen = code.last_seen_at ? new Date(code.last_seen_at) : null;
+  return lastSeen && now - lastSeen <= dormantDays * DAY_MS ? 'active' : 'dormant';
+}
+
+function toDay(value) {
+  return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().slice(0, 10);
+}
+
+// Turns (day, alert_level) rows into one row per day of the range, zero-filled
+function pivotPerDay(rows, from, to) {
+  const days = new Map();
+  for (let date = new Date(toDay(from)); date < to; date.setUTCDate(date.getUTCDate() + 1)) {
+    const key = toDay(date);
+    days.set(key, { day: key, low: 0, medium: 0, high: 0, monster: 0, other: 0, total: 0, recipients: 0 });
+  }
+
+  for (const row of rows) {
+    const key = toDay(row.day);
+    if (!days.has(key)) continue;
+    const entry = days.get(key);
+    const level = (row.alert_level || '').toLowerCase();
+    entry[ALERT_LEVELS.includes(level) ? level : 'other'] += row.alerts;
+    entry.total += row.alerts;
+    entry.recipients += row.recipients || 0;
+  }
+  return [...days.values()];
+}
+
+function countBy(rows, key) {
+  const counts = {};
+  for (const row of rows) counts[row[key]] = (counts[row[key]] || 0) + 1;
+  return counts;
+}
+
+module.exports = { DEFAULT_DORMANT_DAYS, parseRange, pivotPerDay, reachOf, activityOf, countBy };
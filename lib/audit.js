@@ -0,0 +1,83 @@
+// Audit trail of mutating API calls: who did what to which record, from which
+// IP, and how the record looked before and after
+const { parseDateBound, decodeCursor, listParam } = require('./pagination');
+
+// Never written to the log, at any depth
+const SECRET_KEYS = ['password', 'password_hash', 'token', 'token_hash', 'api_key', 'api_key_hash', 'registrationId', 'pushToken', 'secret'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_KEYS.includes(key) ? '[redacted]' : redact(item);
+  }
+  return copy;
+}
+
+function actorOf(req) {
+  if (!req) return { actor: null, actor_type: 'system' };
+  if (req.admin) return { actor: req.admin.username, actor_type: 'admin' };
+  if (req.device) return { actor: req.device.code, actor_type: 'code_holder' };
+  return { actor: null, actor_type: 'anonymous' };
+}
+
+function toJson(value) {
+  return value === undefined || value === null ? null : JSON.stringify(redact(value));
+}
+
+// Returns { error } or { filters, limit, after } for GET /api/audit
+function parseAuditQuery(query) {
+  const filters = {
+    actor: query.actor || null,
+    actions: listParam(query.action),
+    target_type: query.target_type || null,
+    target_id: query.target_id || null
+  };
+
+  if (query.from) {
+    filters.from = parseDateBound(query.from);
+    if (!filters.from) return { error: 'from must be a date' };
+  }
+  if (query.to) {
+    filters.to = parseDateBound(query.to, { end: true });
+    if (!filters.to) return { error: 'to must be a date' };
+  }
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, 'created_at');
+    if (!after) return { error: 'Invalid cursor' };
+  }
+
+  return { filters, limit: Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT), after };
+}
+
+function createAuditLog(storage) {
+  // entry: { action, target_type, target_id, before, after }, plus actor and
+  // actor_type when they do not come from req; req is null for background jobs.
+  // A failed write is logged rather than failing the request, which has already happened.
+  async function record(req, { action, target_type = null, target_id = null, before, after, ...actor }) {
+    try {
+      await storage.audit.insert({
+        ...actorOf(req),
+        ...actor,
+        action,
+        target_type,
+        target_id: target_id === null ? null : String(target_id),
+        ip: (req && req.ip) || null,
+        before_json: toJson(before),
+        after_json: toJson(after)
+      });
+    } catch (error) {
+      console.error(`❌ Could not write audit entry for ${action}:`, error);
+    }
+  }
+
+  return { record };
+}
+
+module.exports = { redact, parseAuditQuery, createAuditLog };
@@ -0,0 +1,147 @@
+// Admin authentication and role checks
+//
+// Admins authenticate with either a session token from POST /api/auth/login
+// (sent as "Authorization: Bearer <token>") or a personal API key
+// (sent as "X-API-Key: <key>"). Code holders prove ownership of a code with
+// the registrationId returned by /api/register ("X-Registration-Id").
+// Browsers cannot set headers on an EventSource, so GET .../stream requests
+// may pass the same credentials as ?access_token= and ?registration_id=.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { sendError } = require('./errors');
+
+// Ordered from least to most privileged; each role includes the ones before it
+const ROLES = ['editor', 'owner'];
+
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+// How often a device's last_seen_at is refreshed, to avoid a write per request
+const LAST_SEEN_INTERVAL_MS = 60 * 60 * 1000;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateToken(prefix = '') {
+  return prefix + crypto.randomBytes(32).toString('hex');
+}
+
+function isStreamRequest(req) {
+  return req.method === 'GET' && req.path.endsWith('/stream');
+}
+
+function hasRole(admin, role) {
+  return Boolean(admin) && ROLES.indexOf(admin.role) >= ROLES.indexOf(role);
+}
+
+function createAuth(storage) {
+  async function createSession(admin) {
+    const token = generateToken();
+    const expires_at = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+    await storage.sessions.insert({ token_hash: hashToken(token), admin_id: admin.id, expires_at });
+    await storage.admins.touchLastLogin(admin.id);
+    return { token, expires_at };
+  }
+
+  // Attaches req.admin when valid credentials are present; never rejects
+  async function authenticate(req, res, next) {
+    try {
+      let header = req.get('Authorization') || '';
+      const apiKey = req.get('X-API-Key');
+      if (!header && isStreamRequest(req) && req.query.access_token) {
+        header = `Bearer ${req.query.access_token}`;
+      }
+
+      if (header.startsWith('Bearer ')) {
+        req.sessionTokenHash = hashToken(header.slice(7).trim());
+        req.admin = await storage.sessions.findAdmin(req.sessionTokenHash);
+      } else if (apiKey) {
+        req.admin = await storage.admins.findByApiKeyHash(hashToken(apiKey.trim()));
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.admin) {
+        return sendError(res, 401, 'Authentication required');
+      }
+      if (!hasRole(req.admin, role)) {
+        return sendError(res, 403, 'Insufficient permissions');
+      }
+      next();
+    };
+  }
+
+  // Lets editors and owners through, otherwise the caller must be a device
+  // registered to :code, which is then available as req.device
+  async function requireCodeHolder(req, res, next) {
+    try {
+      if (hasRole(req.admin, 'editor')) return next();
+
+      const registrationId = req.get('X-Registration-Id') || (isStreamRequest(req) ? req.query.registration_id : null);
+      if (!registrationId) {
+        return sendError(res, 401, 'Authentication required');
+      }
+
+      const device = await storage.devices.findByRegistrationId(registrationId);
+      if (!device || device.code !== req.params.code.toUpperCase()) {
+        return sendError(res, 403, 'Not authorized for this code');
+      }
+      req.device = device;
+
+      const lastSeen = device.last_seen_at ? new Date(device.last_seen_at).getTime() : 0;
+      if (Date.now() - lastSeen > LAST_SEEN_INTERVAL_MS) await storage.devices.touch(device.id);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Creates the first owner from ADMIN_USERNAME / ADMIN_PASSWORD on an empty table
+  async function bootstrapOwner() {
+    if (await storage.admins.count() > 0) return;
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+      console.warn('⚠️ No admin accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first owner.');
+      return;
+    }
+
+    await storage.admins.insert({
+      id: uuidv4(),
+      username: ADMIN_USERNAME.trim().toLowerCase(),
+      password_hash: hashPassword(ADMIN_PASSWORD),
+      role: 'owner'
+    });
+    console.log(`✅ Created owner account: ${ADMIN_USERNAME}`);
+  }
+
+  return { authenticate, requireRole, requireCodeHolder, createSession, bootstrapOwner };
+}
+
+module.exports = {
+  ROLES,
+  createAuth,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  hashToken,
+  generateToken
+};
@@ -0,0 +1,58 @@
+// Delivery channels besides Expo push (lib/push.js), which code holders set up
+// in user_channels. Every channel has the push service's send(alert_id, entries,
+// { revision }) with entries [{ user_code, message }], plus
+//   buildMessage(notification, setting)  the channel's message for one user_channels row,
+//                                        from the { title, body, data } push also uses
+//   deliver(message)                     sends one message; throws on failure
+// send records a channel_deliveries row per entry; one failed entry does not stop the rest.
+
+const CHANNELS = ['email', 'webhook'];
+const SEND_CONCURRENCY = parseInt(process.env.CHANNEL_SEND_CONCURRENCY) || 5;
+
+// code is recorded as channel_deliveries.error
+class DeliveryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// The alert as plain text lines, for email bodies and chat posts
+function notificationText({ body, data }) {
+  const lines = [body];
+  if (data.details) lines.push('', data.details);
+  if (data.teams_affected > 0) lines.push('', `Affects ${data.teams_affected} of your team(s)`);
+  return lines.join('\n');
+}
+
+// name is the user_channels.channel value; targetOf(message) is what is recorded as target
+function createChannel({ name, storage, buildMessage, deliver, targetOf }) {
+  async function send(alert_id, entries, { revision = 0 } = {}) {
+    const counts = { sent: 0, errored: 0 };
+    const deliveries = [];
+
+    for (let start = 0; start < entries.length; start += SEND_CONCURRENCY) {
+      await Promise.all(entries.slice(start, start + SEND_CONCURRENCY).map(async ({ user_code, message }) => {
+        const delivery = { alert_id, user_code, channel: name, target: targetOf(message), status: 'sent', error: null, error_message: null, revision };
+        try {
+          await deliver(message);
+          counts.sent++;
+        } catch (error) {
+          delivery.status = 'error';
+          delivery.error = error.code || 'SendFailed';
+          delivery.error_message = String(error.message).slice(0, 1000);
+          counts.errored++;
+        }
+        deliveries.push(delivery);
+      }));
+    }
+
+    await storage.channelDeliveries.insertMany(deliveries);
+    if (entries.length > 0) console.log(`✅ Sent ${counts.sent} ${name} message(s) (${counts.errored} failed)`);
+    return counts;
+  }
+
+  return { name, buildMessage, deliver, send };
+}
+
+module.exports = { CHANNELS, DeliveryError, notificationText, createChannel };
@@ -0,0 +1,124 @@
+// Bulk import of valid_codes from CSV or JSON. planCodeImport sorts the rows into
+// added, updated, skipped and invalid without writing anything, so the same plan
+// serves as the dry-run preview and as the list of rows to write.
+const { parseCsv } = require('./csv');
+const { validateFields } = require('./validation');
+const { deviceLimitFor, parseCodeFields } = require('./codes');
+const schemas = require('./schemas');
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_FIELDS = ['league_count', 'device_limit', 'status', 'expires_at', 'plan', 'owner_email', 'note'];
+// Exports can be edited and imported again; the columns after note are ignored on import
+const EXPORT_COLUMNS = ['code', ...IMPORT_FIELDS, 'created_at', 'device_count', 'devices_allowed', 'registration_status', 'last_seen_at'];
+
+// body: CSV text with a header row (code plus any IMPORT_FIELDS) or { codes: [...] }
+// whose items are a code string or an object. Returns { error } or { records }.
+function parseCodeImport(body) {
+  let records;
+  if (typeof body === 'string') {
+    // An empty cell leaves the field unset: the default for a new code, the
+    // current value for an existing one
+    records = parseCsv(body).map(record => Object.fromEntries(
+      Object.entries(record).filter(([, value]) => value !== '')
+    ));
+  } else if (body && Array.isArray(body.codes)) {
+    records = body.codes.map(item => (typeof item === 'string' ? { code: item } : item));
+  } else {
+    return { error: 'codes array or CSV rows are required' };
+  }
+
+  if (records.length === 0) return { error: 'codes array or CSV rows are required' };
+  if (records.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} codes can be imported at once` };
+  return { records };
+}
+
+function sameValue(current, next) {
+  if (next instanceof Date) return current !== null && new Date(current).getTime() === next.getTime();
+  return (current === undefined ? null : current) === next;
+}
+
+// existing: the stored rows for the codes in records. upsert updates codes that
+// already exist instead of skipping them. row is 1-based, counting data rows only.
+function planCodeImport(records, existing, { upsert = false } = {}) {
+  const plan = { added: [], updated: [], skipped: [], invalid: [] };
+  const byCode = new Map(existing.map(row => [row.code, row]));
+  const seen = new Set();
+
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const checked = record && typeof record === 'object'
+      ? validateFields(schemas.codeItem, record)
+      : { error: 'must be a code or an object' };
+    const parsed = checked.error ? checked : parseCodeFields(checked.value);
+    if (parsed.error) {
+      plan.invalid.push({ row, code: record && record.code ? String(record.code) : null, reason: parsed.error });
+      return;
+    }
+
+    const code = checked.value.code.toUpperCase();
+    if (seen.has(code)) {
+      plan.invalid.push({ row, code, reason: 'appears more than once in this import' });
+      return;
+    }
+    seen.add(code);
+
+    const { fields } = parsed;
+    const current = byCode.get(code);
+    if (!current) {
+      plan.added.push({ row, code, ...fields });
+      return;
+    }
+    if (!upsert) {
+      plan.skipped.push({ row, code, reason: 'already exists' });
+      return;
+    }
+
+    const changes = {};
+    for (const key of IMPORT_FIELDS) {
+      if (fields[key] !== undefined && !sameValue(current[key], fields[key])) changes[key] = fields[key];
+    }
+    if (Object.keys(changes).length === 0) {
+      plan.skipped.push({ row, code, reason: 'unchanged' });
+    } else {
+      plan.updated.push({ row, code, ...changes, previous: Object.fromEntries(Object.keys(changes).map(key => [key, current[key]])) });
+    }
+  });
+
+  return plan;
+}
+
+function codesOf(records) {
+  return [...new Set(records
+    .map(record => (typeof record === 'string' ? record : record && record.code))
+    .filter(code => typeof code === 'string' && code.trim() !== '')
+    .map(code => code.trim().toUpperCase()))];
+}
+
+// Returns the plan; unless dryRun, its added and updated rows are written in one
+// transaction that also reads the current codes, so the plan matches what is written
+async function importCodes(storage, records, { upsert = false, dryRun = false } = {}) {
+  if (dryRun) {
+    return planCodeImport(records, await storage.codes.findMany(codesOf(records)), { upsert });
+  }
+
+  return storage.transaction(async (tx) => {
+    const plan = planCodeImport(records, await tx.codes.findMany(codesOf(records)), { upsert });
+    const strip = ({ row, previous, ...fields }) => fields;
+    if (plan.added.length > 0) await tx.codes.insertMany(plan.added.map(strip));
+    if (plan.updated.length > 0) await tx.codes.updateMany(plan.updated.map(strip));
+    return plan;
+  });
+}
+
+// Rows for GET /api/valid-codes/export, from codes.listWithDeviceCounts
+function exportRows(codes) {
+  return codes.map(code => {
+    const devicesAllowed = deviceLimitFor(code);
+    let registration_status = 'unregistered';
+    if (code.device_count >= devicesAllowed) registration_status = 'full';
+    else if (code.device_count > 0) registration_status = 'registered';
+    return { ...code, devices_allowed: devicesAllowed, registration_status };
+  });
+}
+
+module.exports = { MAX_IMPORT_ROWS, EXPORT_COLUMNS, parseCodeImport, planCodeImport, importCodes, exportRows };
@@ -0,0 +1,89 @@
+// Access code lifecycle: subscription fields, expiry/suspension checks and
+// random code generation
+const crypto = require('crypto');
+
+const CODE_STATUSES = ['active', 'suspended'];
+
+// Devices a code may register when valid_codes.device_limit is not set
+const DEFAULT_DEVICE_LIMIT = parseInt(process.env.DEFAULT_DEVICE_LIMIT) || 3;
+
+// No 0/O or 1/I, so codes survive being read out or typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Checked by the owner_email and email channel rules in lib/schemas.js
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function deviceLimitFor(validCode) {
+  return validCode.device_limit || DEFAULT_DEVICE_LIMIT;
+}
+
+// Returns 'suspended' or 'expired' when the code may not be used, otherwise null
+function inactiveReason(validCode, now = new Date()) {
+  if (validCode.status === 'suspended') return 'suspended';
+  if (validCode.expires_at && new Date(validCode.expires_at) <= now) return 'expired';
+  return null;
+}
+
+function generateCode(length = 8, prefix = '') {
+  let code = prefix;
+  for (let i = 0; i < length; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+// Validates the subscription fields of a create or update body.
+// Returns { error } or { fields } holding only the keys present in body;
+// null clears expires_at, plan, owner_email, note and device_limit.
+function parseCodeFields(body) {
+  const fields = {};
+
+  if (body.league_count !== undefined) {
+    const league_count = parseInt(body.league_count);
+    if (!(league_count >= 1)) return { error: 'league_count must be a positive number' };
+    fields.league_count = league_count;
+  }
+
+  if (body.device_limit !== undefined) {
+    const device_limit = body.device_limit === null ? null : parseInt(body.device_limit);
+    if (device_limit !== null && !(device_limit >= 1)) {
+      return { error: 'device_limit must be a positive number or null' };
+    }
+    fields.device_limit = device_limit;
+  }
+
+  if (body.expires_at !== undefined) {
+    const expires_at = body.expires_at === null || body.expires_at === '' ? null : new Date(body.expires_at);
+    if (expires_at !== null && isNaN(expires_at.getTime())) return { error: 'expires_at must be a date' };
+    fields.expires_at = expires_at;
+  }
+
+  if (body.status !== undefined) {
+    if (!CODE_STATUSES.includes(body.status)) return { error: `status must be one of ${CODE_STATUSES.join(', ')}` };
+    fields.status = body.status;
+  }
+
+  if (body.plan !== undefined) {
+    fields.plan = body.plan ? String(body.plan).trim().slice(0, 50) : null;
+  }
+
+  if (body.owner_email !== undefined) {
+    fields.owner_email = body.owner_email ? String(body.owner_email).trim() : null;
+  }
+
+  if (body.note !== undefined) {
+    fields.note = body.note ? String(body.note) : null;
+  }
+
+  return { fields };
+}
+
+module.exports = {
+  CODE_STATUSES,
+  DEFAULT_DEVICE_LIMIT,
+  EMAIL_PATTERN,
+  deviceLimitFor,
+  inactiveReason,
+  generateCode,
+  parseCodeFields
+};
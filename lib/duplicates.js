@@ -0,0 +1,69 @@
+// Checks an alert about to be sent against recent notifications for the same
+// player (or title): the same status again within DUPLICATE_WINDOW_MINUTES is a
+// near-duplicate, and a status that contradicts one sent within
+// CONFLICT_WINDOW_MINUTES (e.g. "Playing" right after "Out") is a conflict.
+
+const DUPLICATE_WINDOW_MINUTES = parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 10;
+const CONFLICT_WINDOW_MINUTES = parseInt(process.env.CONFLICT_WINDOW_MINUTES) || 60;
+// "reject" refuses a flagged send until it is repeated with force; "warn" sends it
+// and returns the warnings
+const DUPLICATE_POLICY = process.env.DUPLICATE_POLICY === 'warn' ? 'warn' : 'reject';
+
+// Statuses that are unlikely to follow the key status this soon without a mistake
+const CONTRADICTIONS = {
+  'Out': ['Playing', 'Starting', 'Off Injury Report'],
+  'Off Injury Report': ['Out', 'Doubtful', 'Injured'],
+  'Playing': ['Off Injury Report'],
+  'Starting': ['Off Injury Report']
+};
+
+const MINUTE_MS = 60 * 1000;
+
+function minutesAgo(date, now) {
+  return Math.max(0, Math.round((now - new Date(date)) / MINUTE_MS));
+}
+
+// recent: notifications newest first. Returns [{ type, message, alert_id, status, sent_at }];
+// only the newest match of each type is reported.
+function findWarnings({ title, status }, recent, now = new Date()) {
+  const warnings = [];
+
+  const duplicate = recent.find(notification =>
+    notification.status === status && now - new Date(notification.sent_at) <= DUPLICATE_WINDOW_MINUTES * MINUTE_MS);
+  if (duplicate) {
+    warnings.push({
+      type: 'duplicate',
+      message: `"${title}" was already sent as ${status} ${minutesAgo(duplicate.sent_at, now)} minute(s) ago`,
+      alert_id: duplicate.alert_id,
+      status: duplicate.status,
+      sent_at: duplicate.sent_at
+    });
+  }
+
+  // Only the latest status counts; an Out that was already followed by Questionable is not contradicted
+  const latest = recent[0];
+  if (latest && (CONTRADICTIONS[latest.status] || []).includes(status)
+      && now - new Date(latest.sent_at) <= CONFLICT_WINDOW_MINUTES * MINUTE_MS) {
+    warnings.push({
+      type: 'conflict',
+      message: `"${title}" was sent as ${latest.status} ${minutesAgo(latest.sent_at, now)} minute(s) ago; ${latest.status} → ${status} looks contradictory`,
+      alert_id: latest.alert_id,
+      status: latest.status,
+      sent_at: latest.sent_at
+    });
+  }
+
+  return warnings;
+}
+
+async function checkRecentAlerts(storage, alert, now = new Date()) {
+  const windowMinutes = Math.max(DUPLICATE_WINDOW_MINUTES, CONFLICT_WINDOW_MINUTES);
+  const recent = await storage.notifications.listRecent({
+    player_id: alert.player_id || null,
+    title: alert.title,
+    since: new Date(now.getTime() - windowMinutes * MINUTE_MS)
+  });
+  return findWarnings(alert, recent, now);
+}
+
+module.exports = { DUPLICATE_POLICY, findWarnings, checkRecentAlerts };
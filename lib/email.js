@@ -0,0 +1,27 @@
+// Email channel: alerts as plain-text mail over SMTP (lib/smtp.js)
+const { notificationText, createChannel } = require('./channels');
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'alerts@localhost';
+
+// Header values are single lines; a CR or LF could otherwise start a header of its own
+function headerValue(value) {
+  return String(value).replace(/[\r\n]+/g, ' ').trim();
+}
+
+// transport is { sendMail({ from, to, subject, text }) }
+function createEmailChannel({ storage, transport, from = EMAIL_FROM }) {
+  return createChannel({
+    name: 'email',
+    storage,
+    buildMessage: (notification, setting) => ({
+      from: headerValue(from),
+      to: headerValue(setting.target),
+      subject: headerValue(notification.title),
+      text: `${notificationText(notification)}\n\n--\nYou get these emails because this address is set up for your Basketball Monster code.`
+    }),
+    deliver: message => transport.sendMail(message),
+    targetOf: message => message.to
+  });
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,57 @@
+// The error contract shared by every route:
+//   { success: false, error, code, fields? }
+// error is the human-readable message (the name existing clients already read),
+// code a stable machine-readable identifier and fields, for validation failures,
+// a message per offending field keyed by its path (e.g. "users[0].user_id").
+
+const DEFAULT_CODES = {
+  400: 'bad_request',
+  401: 'unauthenticated',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'unavailable'
+};
+
+// Thrown from helpers that run inside a route; errorHandler turns it into a response
+class ApiError extends Error {
+  constructor(status, message, { code = DEFAULT_CODES[status], fields, ...extra } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.extra = extra;
+  }
+}
+
+// options: { code, fields, ...extra } where extra is merged into the body
+// (e.g. warnings on a duplicate alert)
+function sendError(res, status, message, { code = DEFAULT_CODES[status], fields, ...extra } = {}) {
+  const body = { success: false, error: message, code };
+  if (fields) body.fields = fields;
+  return res.status(status).json({ ...body, ...extra });
+}
+
+// Last middleware. Anything that is not an ApiError or a request-parsing error
+// is logged and answered with a generic 500, so database messages never reach clients.
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof ApiError) {
+    return sendError(res, error.status, error.message, { code: error.code, fields: error.fields, ...error.extra });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 400, 'Request body is not valid JSON', { code: 'invalid_json' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 413, 'Request body is too large');
+  }
+
+  console.error(`❌ ${req.method} ${req.path} failed:`, error);
+  sendError(res, 500, 'Internal server error');
+}
+
+module.exports = { ApiError, sendError, errorHandler };
@@ -0,0 +1,76 @@
+// Live alert feed over Server-Sent Events
+// An in-process hub: events published here reach the streams open on this
+// server instance. Channels are "admin" and "user:<CODE>".
+
+const HEARTBEAT_SECONDS = parseInt(process.env.STREAM_HEARTBEAT_SECONDS) || 25;
+// Recent events kept so a reconnecting client can catch up with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 200;
+
+function createEventHub() {
+  const listeners = new Map();
+  const recent = [];
+  let lastId = 0;
+
+  function subscribe(channel, listener) {
+    if (!listeners.has(channel)) listeners.set(channel, new Set());
+    listeners.get(channel).add(listener);
+
+    return () => {
+      const set = listeners.get(channel);
+      set.delete(listener);
+      if (set.size === 0) listeners.delete(channel);
+    };
+  }
+
+  function publish(channel, type, data) {
+    const event = { id: ++lastId, channel, type, data };
+    recent.push(event);
+    if (recent.length > REPLAY_BUFFER_SIZE) recent.shift();
+
+    for (const listener of listeners.get(channel) || []) {
+      listener(event);
+    }
+  }
+
+  function since(channel, id) {
+    return recent.filter(event => event.channel === channel && event.id > id);
+  }
+
+  // Holds the response open as an event stream until the client disconnects
+  function stream(req, res, channel) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      // Stops nginx-style proxies from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    res.write(`retry: 5000\n: connected to ${channel}\n\n`);
+
+    const lastEventId = parseInt(req.get('Last-Event-ID'));
+    if (lastEventId >= 0) since(channel, lastEventId).forEach(send);
+
+    const unsubscribe = subscribe(channel, send);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+
+  function connectionCount() {
+    let total = 0;
+    for (const set of listeners.values()) total += set.size;
+    return total;
+  }
+
+  return { subscribe, publish, stream, connectionCount };
+}
+
+module.exports = { createEventHub };
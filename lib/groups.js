@@ -0,0 +1,77 @@
+// Recipient groups: a fixed list of codes ("Beta testers") or a rule over
+// valid_codes.league_count ("All 3+ league users"). Rules are resolved when an
+// alert is sent or scheduled, so they pick up codes added since the group was made.
+
+function parseBound(value, name) {
+  if (value === null || value === '') return { value: null };
+  const bound = parseInt(value);
+  if (!(bound >= 1)) return { error: `${name} must be a positive number or null` };
+  return { value: bound };
+}
+
+// Validates a create (partial = false) or update body.
+// Returns { error } or { fields }; giving codes clears the rule and vice versa,
+// and a rule is always replaced whole.
+function parseGroup(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    fields.name = name.slice(0, 100);
+  }
+
+  const hasRule = body.min_league_count !== undefined || body.max_league_count !== undefined;
+  if (body.codes !== undefined && hasRule) {
+    return { error: 'A group has either codes or a league_count rule, not both' };
+  }
+
+  if (body.codes !== undefined) {
+    if (!Array.isArray(body.codes)) return { error: 'codes must be an array' };
+    const codes = [...new Set(body.codes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+    if (codes.length === 0) return { error: 'codes cannot be empty' };
+    Object.assign(fields, { codes, min_league_count: null, max_league_count: null });
+  } else if (hasRule) {
+    const min = parseBound(body.min_league_count ?? null, 'min_league_count');
+    if (min.error) return min;
+    const max = parseBound(body.max_league_count ?? null, 'max_league_count');
+    if (max.error) return max;
+    if (min.value === null && max.value === null) {
+      return { error: 'A rule needs min_league_count or max_league_count' };
+    }
+    if (min.value !== null && max.value !== null && min.value > max.value) {
+      return { error: 'min_league_count cannot be greater than max_league_count' };
+    }
+    Object.assign(fields, { codes: null, min_league_count: min.value, max_league_count: max.value });
+  } else if (!partial) {
+    return { error: 'codes or a league_count rule is required' };
+  }
+
+  return { fields };
+}
+
+async function groupMembers(storage, group) {
+  if (group.codes) return group.codes;
+  return storage.codes.listByLeagueCount({ min: group.min_league_count, max: group.max_league_count });
+}
+
+// Adds the members of group_ids to an explicit users list as { user_id, teams_affected: 0 };
+// users already listed keep their own entry. Returns { error } for an unknown group, or { users }.
+async function expandGroups(storage, groupIds, users = []) {
+  const seen = new Set(users.map(user => String(user.user_id).toUpperCase()));
+  const expanded = [...users];
+
+  for (const id of groupIds) {
+    const group = await storage.groups.find(id);
+    if (!group) return { error: `Unknown group_id ${id}` };
+
+    for (const code of await groupMembers(storage, group)) {
+      if (seen.has(code)) continue;
+      seen.add(code);
+      expanded.push({ user_id: code, teams_affected: 0 });
+    }
+  }
+  return { users: expanded };
+}
+
+module.exports = { parseGroup, groupMembers, expandGroups };
@@ -0,0 +1,283 @@
+// Injury feed ingestion
+// Structured updates arrive through the signed POST /api/ingest webhook or as
+// .json/.csv files dropped into INGEST_DIR. Each update is normalized onto the
+// STATUS_COLORS statuses and compared with the player's previous report; a
+// status change becomes a draft alert that an operator approves or rejects.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { STATUS_COLORS, formatPlayerTitle } = require('./alerts');
+const { parseCsv } = require('./csv');
+const { normalizeTeam } = require('./registry');
+
+const INGEST_SECRET = process.env.INGEST_SECRET || null;
+const INGEST_DIR = process.env.INGEST_DIR || null;
+const INGEST_POLL_SECONDS = parseInt(process.env.INGEST_POLL_SECONDS) || 60;
+
+// Feed wording for each status, lower-case; the STATUS_COLORS names themselves also match
+const STATUS_ALIASES = {
+  'o': 'Out',
+  'inactive': 'Out',
+  'ruled out': 'Out',
+  'out for season': 'Out',
+  'q': 'Questionable',
+  'gtd': 'Questionable',
+  'game-time decision': 'Questionable',
+  'game time decision': 'Questionable',
+  'day-to-day': 'Questionable',
+  'dtd': 'Questionable',
+  'd': 'Doubtful',
+  'injury': 'Injured',
+  'starter': 'Starting',
+  'will start': 'Starting',
+  'locker room': 'In Locker Room',
+  'to locker room': 'In Locker Room',
+  'probable': 'Playing',
+  'available': 'Playing',
+  'active': 'Playing',
+  'cleared': 'Off Injury Report',
+  'healthy': 'Off Injury Report',
+  'removed from injury report': 'Off Injury Report',
+  'news': 'Note'
+};
+
+// A player's first report with one of these is not news, so no draft is made
+const AVAILABLE_STATUSES = ['Playing', 'Starting', 'Off Injury Report'];
+
+const LEVEL_BY_STATUS = {
+  'Out': 'high',
+  'Injured': 'high',
+  'In Locker Room': 'high',
+  'Doubtful': 'medium',
+  'Questionable': 'medium'
+};
+
+// Returns a STATUS_COLORS name, or null for wording we do not recognize
+function normalizeStatus(raw) {
+  const key = String(raw || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  const exact = Object.keys(STATUS_COLORS).find(status => status.toLowerCase() === key);
+  return exact || STATUS_ALIASES[key] || null;
+}
+
+// A player coming back from a missed-game status is as newsworthy as one going out
+function suggestLevel(previousStatus, status) {
+  if (LEVEL_BY_STATUS[status]) return LEVEL_BY_STATUS[status];
+  if (AVAILABLE_STATUSES.includes(status) && LEVEL_BY_STATUS[previousStatus]) return 'high';
+  return 'low';
+}
+
+// X-Ingest-Signature is "sha256=" and the hex HMAC-SHA256 of the raw body
+function verifySignature(secret, rawBody, header) {
+  const match = /^sha256=([0-9a-f]{64})$/i.exec(header || '');
+  if (!secret || !rawBody || !match) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(match[1], 'hex'));
+}
+
+// Accepts CSV text, a JSON array or { updates: [...] }; returns null for anything else
+function parseUpdates(body) {
+  if (typeof body === 'string') return parseCsv(body);
+  if (Array.isArray(body)) return body;
+  if (body && Array.isArray(body.updates)) return body.updates;
+  return null;
+}
+
+// Returns { error } or { update } with a normalized status and reported_at
+function normalizeUpdate(record) {
+  const name = String(record.name || record.player || '').trim();
+  if (!name && !record.player_id && !record.external_id) {
+    return { error: 'player_id, external_id or name is required' };
+  }
+
+  const status = normalizeStatus(record.status);
+  if (!status) return { error: `Unknown status "${record.status || ''}"` };
+
+  const reportedValue = record.reported_at || record.updated_at;
+  const reported_at = reportedValue ? new Date(reportedValue) : new Date();
+  if (isNaN(reported_at.getTime())) return { error: 'reported_at must be a date' };
+
+  return {
+    update: {
+      player_id: record.player_id ? String(record.player_id) : null,
+      external_id: record.external_id ? String(record.external_id).trim() : null,
+      name,
+      team: normalizeTeam(record.team) || null,
+      status,
+      raw_status: String(record.status).trim(),
+      details: String(record.details || record.note || record.comment || '').trim(),
+      reported_at
+    }
+  };
+}
+
+function createIngestService({ storage, alerts, events }) {
+  // Matches by player_id, then external_id, then an unambiguous name (within the team if given)
+  async function findPlayer({ player_id, external_id, name, team }) {
+    if (player_id) return storage.players.findById(player_id);
+    if (external_id) {
+      const player = await storage.players.findByExternalId(external_id);
+      if (player) return player;
+    }
+    if (!name) return null;
+
+    const matches = (await storage.players.findByName(name)).filter(player => !team || player.team === team);
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  // A player outside the registry is tracked by external_id when the feed has one,
+  // otherwise by name and team
+  function playerKeyOf(player, { external_id, name, team }) {
+    if (player) return player.id;
+    if (external_id) return `external:${external_id}`;
+    return `${name.toLowerCase()}|${team || ''}`;
+  }
+
+  // Records the report and drafts an alert if the status changed. Returns { error }
+  // or { outcome }: 'drafted', 'unchanged' or 'stale' (older than the stored report).
+  async function applyUpdate(update, source) {
+    const player = await findPlayer(update);
+    if (update.player_id && !player) return { error: `Unknown player_id ${update.player_id}` };
+    // Without a name there is nothing to title the alert with
+    if (!player && !update.name) return { error: 'Player is not in the registry and has no name' };
+
+    const name = player ? player.name : update.name;
+    const team = player ? player.team : update.team;
+    const player_key = playerKeyOf(player, update);
+    const previous = await storage.injuryReports.find(player_key);
+
+    if (previous && previous.reported_at && new Date(previous.reported_at) > update.reported_at) return { outcome: 'stale' };
+
+    const changed = previous ? previous.status !== update.status : !AVAILABLE_STATUSES.includes(update.status);
+    const report = { ...update, player_key, player_id: player ? player.id : null, name, team, source };
+
+    if (!changed) {
+      await storage.injuryReports.upsert(report);
+      return { outcome: 'unchanged' };
+    }
+
+    const draft = {
+      id: uuidv4(),
+      player_key,
+      player_id: report.player_id,
+      title: player ? formatPlayerTitle(player) : (team ? `${name} - ${team}` : name),
+      team,
+      status: update.status,
+      previous_status: previous ? previous.status : null,
+      alert_level: suggestLevel(previous && previous.status, update.status),
+      details: update.details,
+      source
+    };
+
+    await storage.transaction(async (tx) => {
+      await tx.injuryReports.upsert(report);
+      await tx.drafts.supersede(player_key);
+      await tx.drafts.insert(draft);
+    });
+    events.publish('admin', 'draft.created', draft);
+    return { outcome: 'drafted' };
+  }
+
+  // Returns { received, drafted, unchanged, stale, errors: [{ row, reason }] }
+  async function ingest(records, source) {
+    const summary = { received: records.length, drafted: 0, unchanged: 0, stale: 0, errors: [] };
+
+    for (const [i, record] of records.entries()) {
+      const { error, update } = normalizeUpdate(record);
+      if (error) {
+        summary.errors.push({ row: i + 1, reason: error });
+        continue;
+      }
+
+      try {
+        const applied = await applyUpdate(update, source);
+        if (applied.error) summary.errors.push({ row: i + 1, reason: applied.error });
+        else summary[applied.outcome]++;
+      } catch (err) {
+        console.error(`❌ Could not ingest row ${i + 1} from ${source}:`, err);
+        summary.errors.push({ row: i + 1, reason: 'Could not be saved' });
+      }
+    }
+
+    if (summary.drafted > 0) console.log(`📥 ${summary.drafted} draft alert(s) from ${source}`);
+    return summary;
+  }
+
+  // Sends an approved draft through the alert fan-out. alert is the draft with the
+  // operator's edits and recipients. Returns null if the draft was already reviewed.
+  async function sendDraft(draft, alert, reviewer) {
+    if (!await storage.drafts.claim(draft.id, reviewer)) return null;
+
+    try {
+      const result = await alerts.send(alert);
+      await storage.drafts.markSent(draft.id, result.alert_id);
+      return result;
+    } catch (error) {
+      await storage.drafts.markFailed(draft.id, error.message);
+      throw error;
+    }
+  }
+
+  // Ingests every .json and .csv file in dir, then moves it to processed/ or,
+  // if it cannot be parsed, to failed/. Writers should create files elsewhere and
+  // move them in, so a half-written file is never read.
+  async function processDirectory(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = entries.filter(entry => entry.isFile() && /\.(json|csv)$/i.test(entry.name));
+
+    for (const file of files) {
+      const filePath = path.join(dir, file.name);
+      let target = 'processed';
+      try {
+        const text = await fs.readFile(filePath, 'utf8');
+        const records = parseUpdates(/\.csv$/i.test(file.name) ? text : JSON.parse(text));
+        if (!records) throw new Error('Expected a JSON array or { updates: [...] }');
+
+        const summary = await ingest(records, `file:${file.name}`);
+        if (summary.errors.length > 0) {
+          console.warn(`⚠️ ${file.name}: ${summary.errors.length} update(s) skipped`, summary.errors);
+        }
+      } catch (error) {
+        console.error(`❌ Could not ingest ${file.name}:`, error.message);
+        target = 'failed';
+      }
+
+      await fs.mkdir(path.join(dir, target), { recursive: true });
+      await fs.rename(filePath, path.join(dir, target, `${Date.now()}-${file.name}`));
+    }
+
+    return { files: files.length };
+  }
+
+  function start(dir = INGEST_DIR, intervalSeconds = INGEST_POLL_SECONDS) {
+    if (!dir) return null;
+
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processDirectory(dir);
+      } catch (error) {
+        console.error('❌ Ingest error:', error);
+      } finally {
+        running = false;
+      }
+    }, intervalSeconds * 1000);
+    timer.unref();
+    console.log(`📂 Watching ${dir} for injury reports every ${intervalSeconds}s`);
+    return timer;
+  }
+
+  return { ingest, sendDraft, processDirectory, start };
+}
+
+module.exports = {
+  INGEST_SECRET,
+  normalizeStatus,
+  suggestLevel,
+  verifySignature,
+  parseUpdates,
+  normalizeUpdate,
+  createIngestService
+};
@@ -0,0 +1,97 @@
+// Query-string parsing and cursors for the paginated alert history endpoints
+// (/api/notifications, /api/alerts/search and /api/user/:code/alerts) and /api/audit
+
+const SORTABLE_COLUMNS = ['sent_at', 'updated_at', 'title', 'status'];
+const DATE_COLUMNS = ['sent_at', 'updated_at', 'created_at'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// The cursor is the sort value and id of the last row on the page
+function encodeCursor(row, sort) {
+  return Buffer.from(JSON.stringify({ v: row[sort], id: row.id })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isInteger(id)) return null;
+    return { value: DATE_COLUMNS.includes(sort) ? new Date(v) : v, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Accepts ?status=Out,Doubtful as well as ?status=Out&status=Doubtful
+function listParam(value) {
+  return [].concat(value || [])
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+// A bare YYYY-MM-DD is a whole UTC day: from its start, or up to the start of the next day
+function parseDateBound(value, { end = false } = {}) {
+  if (DATE_ONLY.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (end) date.setUTCDate(date.getUTCDate() + 1);
+    return { date, exclusive: end };
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : { date, exclusive: false };
+}
+
+// Returns { error } or { filters, sort, order, limit, after }.
+// date is kept as shorthand for from=date&to=date.
+function parseListQuery(query) {
+  const sort = query.sort || 'sent_at';
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    return { error: `sort must be one of ${SORTABLE_COLUMNS.join(', ')}` };
+  }
+
+  const order = (query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  let after = null;
+  if (query.cursor) {
+    after = decodeCursor(query.cursor, sort);
+    if (!after) return { error: 'Invalid cursor' };
+  }
+
+  const filters = {
+    player: query.player || null,
+    player_id: query.player_id || null,
+    team: query.team ? String(query.team).trim().toUpperCase() : null,
+    statuses: listParam(query.status),
+    alert_levels: listParam(query.alert_level).map(level => level.toLowerCase())
+  };
+
+  const from = query.from || query.date;
+  const to = query.to || query.date;
+  if (from) {
+    filters.from = parseDateBound(from);
+    if (!filters.from) return { error: 'from must be a date' };
+  }
+  if (to) {
+    filters.to = parseDateBound(to, { end: true });
+    if (!filters.to) return { error: 'to must be a date' };
+  }
+
+  return { filters, sort, order, limit, after };
+}
+
+// Pagination fields added to every list response
+function pageInfo({ rows, total, has_more }, sort) {
+  return {
+    total,
+    has_more,
+    next_cursor: has_more ? encodeCursor(rows[rows.length - 1], sort) : null
+  };
+}
+
+module.exports = { SORTABLE_COLUMNS, parseListQuery, parseDateBound, decodeCursor, pageInfo, listParam };
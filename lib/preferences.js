@@ -0,0 +1,109 @@
+// Per-user notification preferences
+// Decide whether an alert is pushed to a code holder. Alerts that are filtered
+// out are still stored in user_alerts, the same as with notifications disabled.
+
+// Lowest to highest, matching ALERT_LEVEL_COLORS
+const ALERT_LEVELS = ['low', 'medium', 'high', 'monster'];
+
+const DEFAULT_PREFERENCES = {
+  min_alert_level: null,
+  status_allow: [],
+  status_deny: [],
+  quiet_start: null,
+  quiet_end: null,
+  time_zone: 'UTC'
+};
+
+// HH:MM, for quiet_start and quiet_end; checked by the preferences schema
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes since midnight of date in timeZone
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+// Merges a PUT body into the current preferences.
+// Returns { error } or { preferences }; null clears a field back to its default.
+function mergePreferences(current, body) {
+  const preferences = { ...DEFAULT_PREFERENCES, ...current };
+
+  for (const key of Object.keys(DEFAULT_PREFERENCES)) {
+    if (body[key] === undefined) continue;
+    preferences[key] = body[key] === null ? DEFAULT_PREFERENCES[key] : body[key];
+  }
+
+  if (preferences.min_alert_level !== null) {
+    preferences.min_alert_level = String(preferences.min_alert_level).toLowerCase();
+    if (!ALERT_LEVELS.includes(preferences.min_alert_level)) {
+      return { error: `min_alert_level must be one of ${ALERT_LEVELS.join(', ')}` };
+    }
+  }
+
+  for (const key of ['status_allow', 'status_deny']) {
+    if (!Array.isArray(preferences[key]) || preferences[key].some(status => typeof status !== 'string')) {
+      return { error: `${key} must be an array of statuses` };
+    }
+    preferences[key] = preferences[key].map(status => status.trim()).filter(Boolean);
+  }
+
+  if ((preferences.quiet_start === null) !== (preferences.quiet_end === null)) {
+    return { error: 'quiet_start and quiet_end must be set together' };
+  }
+
+  if (!isValidTimeZone(preferences.time_zone)) {
+    return { error: `Unknown time_zone "${preferences.time_zone}"` };
+  }
+
+  return { preferences };
+}
+
+function inQuietHours(preferences, now) {
+  if (!preferences.quiet_start || !preferences.quiet_end) return false;
+
+  const start = toMinutes(preferences.quiet_start);
+  const end = toMinutes(preferences.quiet_end);
+  const current = localMinutes(now, preferences.time_zone || 'UTC');
+
+  // 23:00-07:00 wraps past midnight
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+// Returns why the alert should not be pushed, or null to push it
+function pushBlockedReason(preferences, { status, alert_level }, now = new Date()) {
+  if (!preferences) return null;
+
+  const level = ALERT_LEVELS.indexOf((alert_level || '').toLowerCase());
+  if (preferences.min_alert_level && level < ALERT_LEVELS.indexOf(preferences.min_alert_level)) {
+    return 'alert level';
+  }
+
+  const matches = (list) => list.some(entry => entry.toLowerCase() === (status || '').toLowerCase());
+  if (preferences.status_allow.length > 0 && !matches(preferences.status_allow)) return 'status';
+  if (matches(preferences.status_deny)) return 'status';
+
+  if (inQuietHours(preferences, now)) return 'quiet hours';
+
+  return null;
+}
+
+module.exports = { ALERT_LEVELS, DEFAULT_PREFERENCES, TIME_PATTERN, mergePreferences, pushBlockedReason };
@@ -0,0 +1,123 @@
+// Expo push delivery
+// Sends push messages, stores the ticket for every recipient and, in the
+// background, fetches receipts to mark each push delivered or errored.
+// Tokens that Expo reports as DeviceNotRegistered are cleared from device_registrations.
+
+// Expo keeps receipts for 24 hours and recommends waiting ~15 minutes before asking
+const RECEIPT_DELAY_MINUTES = parseInt(process.env.RECEIPT_DELAY_MINUTES) || 15;
+const RECEIPT_CHECK_INTERVAL_MINUTES = parseInt(process.env.RECEIPT_CHECK_INTERVAL_MINUTES) || 15;
+
+function createPushService({ expo, storage }) {
+  async function handleDeviceNotRegistered(pushToken) {
+    const cleared = await storage.devices.clearPushToken(pushToken);
+    if (cleared > 0) {
+      console.log(`🧹 Cleared unregistered push token ${pushToken}`);
+    }
+  }
+
+  // entries: [{ user_code, message }] where message is an Expo push message.
+  // revision is 0 for the original alert, or the alert_revisions number of a follow-up.
+  // Returns { sent, errored } counts of tickets
+  async function send(alert_id, entries, { revision = 0 } = {}) {
+    const counts = { sent: 0, errored: 0 };
+    if (entries.length === 0) return counts;
+
+    const chunks = expo.chunkPushNotifications(entries.map(entry => entry.message));
+    let offset = 0;
+
+    for (const chunk of chunks) {
+      const chunkEntries = entries.slice(offset, offset + chunk.length);
+      offset += chunk.length;
+
+      let tickets;
+      try {
+        tickets = await expo.sendPushNotificationsAsync(chunk);
+      } catch (error) {
+        console.error('❌ Error sending push notifications:', error);
+        tickets = chunk.map(() => ({ status: 'error', message: error.message, details: { error: 'SendFailed' } }));
+      }
+
+      const deliveries = chunkEntries.map(({ user_code, message }, i) => {
+        const ticket = tickets[i] || { status: 'error', message: 'No ticket returned' };
+        return {
+          alert_id,
+          user_code,
+          push_token: message.to,
+          ticket_id: ticket.id || null,
+          status: ticket.status === 'ok' ? 'sent' : 'error',
+          error: ticket.status === 'ok' ? null : (ticket.details?.error || 'TicketError'),
+          error_message: ticket.status === 'ok' ? null : ticket.message,
+          revision
+        };
+      });
+      await storage.deliveries.insertMany(deliveries);
+
+      for (const delivery of deliveries) {
+        if (delivery.status === 'sent') {
+          counts.sent++;
+        } else {
+          counts.errored++;
+          if (delivery.error === 'DeviceNotRegistered') await handleDeviceNotRegistered(delivery.push_token);
+        }
+      }
+    }
+
+    console.log(`✅ Sent ${counts.sent} notifications (${counts.errored} failed)`);
+    return counts;
+  }
+
+  // Fetches receipts for tickets old enough to have one
+  async function checkReceipts() {
+    const before = new Date(Date.now() - RECEIPT_DELAY_MINUTES * 60 * 1000);
+    const pending = await storage.deliveries.listAwaitingReceipt(before);
+    if (pending.length === 0) return { checked: 0 };
+
+    const tokensByTicket = new Map(pending.map(row => [row.ticket_id, row.push_token]));
+    let checked = 0;
+
+    for (const ids of expo.chunkPushNotificationReceiptIds([...tokensByTicket.keys()])) {
+      let receipts;
+      try {
+        receipts = await expo.getPushNotificationReceiptsAsync(ids);
+      } catch (error) {
+        console.error('❌ Error fetching push receipts:', error);
+        continue;
+      }
+
+      for (const [ticketId, receipt] of Object.entries(receipts)) {
+        if (receipt.status === 'ok') {
+          await storage.deliveries.markReceipt(ticketId, { status: 'delivered' });
+        } else {
+          const error = receipt.details?.error || 'ReceiptError';
+          await storage.deliveries.markReceipt(ticketId, { status: 'error', error, error_message: receipt.message });
+          if (error === 'DeviceNotRegistered') await handleDeviceNotRegistered(tokensByTicket.get(ticketId));
+        }
+        checked++;
+      }
+    }
+
+    console.log(`📬 Checked ${checked} push receipts`);
+    return { checked };
+  }
+
+  function startReceiptWorker(intervalMinutes = RECEIPT_CHECK_INTERVAL_MINUTES) {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await checkReceipts();
+      } catch (error) {
+        console.error('❌ Receipt worker error:', error);
+      } finally {
+        running = false;
+      }
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  return { send, checkReceipts, startReceiptWorker };
+}
+
+module.exports = { createPushService };
@@ -0,0 +1,148 @@
+// Rate limits and lockouts for the endpoints code holders call without logging in
+// (GET /api/verify/:code, POST /api/register), which could otherwise be used to
+// guess subscription codes. Requests are counted per client IP (req.ip; see
+// TRUST_PROXY in app.js) and per code in fixed windows of RATE_LIMIT_WINDOW_SECONDS;
+// a client IP that fails LOCKOUT_MAX_FAILURES times within
+// LOCKOUT_FAILURE_WINDOW_MINUTES (an unknown code, a wrong registration secret) is
+// refused on both for LOCKOUT_MINUTES.
+//
+// Counters live in a store: any object with
+//   increment(key, windowMs) -> { count, resetAt }   starting a new window once the last ended
+//   get(key)                 -> { count, resetAt } or null once the window ended
+//   reset(key)
+// all returning promises. createMemoryStore keeps them in this process; with
+// several instances behind a load balancer, pass a shared one (e.g. Redis INCR
+// and PEXPIRE) to createRateLimiter instead.
+const { sendError } = require('./errors');
+
+const MINUTE_MS = 60 * 1000;
+
+// A limit of 0 turns that check off
+function limitFromEnv(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+const RATE_LIMITS = {
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60) * 1000,
+  verifyPerIp: limitFromEnv('RATE_LIMIT_VERIFY_PER_IP', 30),
+  registerPerIp: limitFromEnv('RATE_LIMIT_REGISTER_PER_IP', 10),
+  perCode: limitFromEnv('RATE_LIMIT_PER_CODE', 10),
+  maxFailures: limitFromEnv('LOCKOUT_MAX_FAILURES', 10),
+  failureWindowMs: (parseInt(process.env.LOCKOUT_FAILURE_WINDOW_MINUTES) || 15) * MINUTE_MS,
+  lockoutMs: (parseInt(process.env.LOCKOUT_MINUTES) || 15) * MINUTE_MS
+};
+
+function createMemoryStore({ sweepIntervalMs = MINUTE_MS } = {}) {
+  const entries = new Map();
+
+  function current(key, now = Date.now()) {
+    const entry = entries.get(key);
+    return entry && entry.resetAt > now ? entry : null;
+  }
+
+  // Expired entries are otherwise only replaced when their key comes back
+  const timer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, sweepIntervalMs);
+  timer.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      const entry = current(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = current(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    },
+
+    stop() {
+      clearInterval(timer);
+    }
+  };
+}
+
+function retryAfterSeconds(resetAt) {
+  return Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+}
+
+const SCOPES = {
+  ip: req => req.ip || 'unknown',
+  // verify takes the code from the path, register from the body
+  code: req => String(req.params.code || (req.body && req.body.code) || '').toUpperCase()
+};
+
+function createRateLimiter({ store = createMemoryStore(), audit, limits = RATE_LIMITS }) {
+  // Logged and audited once per window, when the limit is first exceeded
+  async function report(req, action, details) {
+    console.warn(`🚫 ${action} for ${details.scope} ${details.id} on ${req.method} ${req.path}`);
+    await audit.record(req, {
+      action,
+      target_type: details.scope,
+      target_id: details.id,
+      after: { endpoint: `${req.method} ${req.route ? req.route.path : req.path}`, ...details }
+    });
+  }
+
+  // Route middleware, after validate() so the code is normalised. rules:
+  // [{ scope: 'ip' | 'code', max }]. A locked-out IP is refused before anything is counted.
+  function limit(name, rules) {
+    return async (req, res, next) => {
+      try {
+        const lock = await store.get(`lock:ip:${SCOPES.ip(req)}`);
+        if (lock) {
+          res.set('Retry-After', String(retryAfterSeconds(lock.resetAt)));
+          return sendError(res, 429, 'Too many failed attempts. Try again later.', { code: 'locked_out' });
+        }
+
+        for (const { scope, max } of rules) {
+          if (!max) continue;
+          const id = SCOPES[scope](req);
+          const { count, resetAt } = await store.increment(`${name}:${scope}:${id}`, limits.windowMs);
+          if (count <= max) continue;
+
+          if (count === max + 1) {
+            await report(req, 'security.rate_limited', { scope, id, limit: max, window_seconds: limits.windowMs / 1000 });
+          }
+          res.set('Retry-After', String(retryAfterSeconds(resetAt)));
+          return sendError(res, 429, 'Too many requests. Try again later.', { code: 'rate_limited' });
+        }
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Counts a failed attempt against the client IP and locks it out once
+  // maxFailures is reached. Returns true when this failure started a lockout.
+  async function recordFailure(req) {
+    if (!limits.maxFailures) return false;
+    const id = SCOPES.ip(req);
+    const { count } = await store.increment(`failures:ip:${id}`, limits.failureWindowMs);
+    if (count < limits.maxFailures) return false;
+
+    await store.increment(`lock:ip:${id}`, limits.lockoutMs);
+    await store.reset(`failures:ip:${id}`);
+    await report(req, 'security.lockout', {
+      scope: 'ip', id, failures: count, lockout_minutes: limits.lockoutMs / MINUTE_MS
+    });
+    return true;
+  }
+
+  return { limit, recordFailure };
+}
+
+module.exports = { RATE_LIMITS, createMemoryStore, createRateLimiter };
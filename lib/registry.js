@@ -0,0 +1,63 @@
+// Player and team registry helpers shared by the CRUD routes and bulk import
+const { v4: uuidv4 } = require('uuid');
+const { validateFields } = require('./validation');
+const schemas = require('./schemas');
+
+function normalizeTeam(team) {
+  return String(team || '').trim().toUpperCase();
+}
+
+// Creates the team if it is not registered yet
+async function ensureTeam(storage, abbreviation, name) {
+  if (await storage.teams.find(abbreviation)) return false;
+  await storage.teams.insert({ abbreviation, name: name || abbreviation });
+  return true;
+}
+
+// Upserts players from CSV or JSON records with name, team, positions,
+// external_id and optional team_name, each checked against schemas.playerItem.
+// Existing players are matched by external_id, then by an unambiguous exact name.
+async function importPlayers(storage, records) {
+  const results = { added: [], updated: [], errors: [], teams_created: [] };
+
+  for (const [i, record] of records.entries()) {
+    const checked = record && typeof record === 'object' && !Array.isArray(record)
+      ? validateFields(schemas.playerItem, record)
+      : { error: 'must be an object' };
+    if (checked.error) {
+      results.errors.push({ row: i + 1, reason: checked.error });
+      continue;
+    }
+
+    const { name, team_name, positions = '' } = checked.value;
+    const team = normalizeTeam(checked.value.team);
+    const external_id = checked.value.external_id || null;
+
+    try {
+      if (await ensureTeam(storage, team, team_name)) results.teams_created.push(team);
+
+      let existing = external_id ? await storage.players.findByExternalId(external_id) : null;
+      if (!existing) {
+        const byName = await storage.players.findByName(name);
+        if (byName.length === 1) existing = byName[0];
+      }
+
+      const fields = { name, team, positions, external_id };
+      if (existing) {
+        await storage.players.update(existing.id, { ...fields, external_id: external_id || existing.external_id, is_active: 1 });
+        results.updated.push({ id: existing.id, name });
+      } else {
+        const id = uuidv4();
+        await storage.players.insert({ id, ...fields });
+        results.added.push({ id, name });
+      }
+    } catch (err) {
+      console.error(`❌ Could not import player row ${i + 1}:`, err);
+      results.errors.push({ row: i + 1, reason: 'Could not be saved' });
+    }
+  }
+
+  return results;
+}
+
+module.exports = { normalizeTeam, ensureTeam, importPlayers };
@@ -0,0 +1,89 @@
+// Trash and retention for alerts
+// DELETE /api/alerts/:alert_id only moves an alert to the trash. Purging removes
+// it for good: the notification, every user_alerts copy, its revisions and its
+// push, email and webhook deliveries. The retention job purges trashed alerts
+// TRASH_RETENTION_DAYS after deletion and, when ALERT_RETENTION_DAYS is set, any
+// alert older than that.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+// 0 keeps alerts that were never deleted forever
+const ALERT_RETENTION_DAYS = parseInt(process.env.ALERT_RETENTION_DAYS) || 0;
+const RETENTION_INTERVAL_MINUTES = parseInt(process.env.RETENTION_INTERVAL_MINUTES) || 60;
+const PURGE_BATCH_SIZE = 500;
+
+// When a trashed notification will be purged
+function purgeDateOf(notification) {
+  const deletedAt = notification.deleted_at || notification.updated_at;
+  return new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+}
+
+function createRetentionService({ storage, audit }) {
+  // Returns the number of alerts removed
+  async function purge(alertIds) {
+    if (alertIds.length === 0) return 0;
+    return storage.transaction(async (tx) => {
+      await tx.userAlerts.removeByAlertIds(alertIds);
+      await tx.deliveries.removeForAlerts(alertIds);
+      await tx.channelDeliveries.removeForAlerts(alertIds);
+      await tx.revisions.removeForAlerts(alertIds);
+      return tx.notifications.removeMany(alertIds);
+    });
+  }
+
+  // criteria: { deletedBefore, sentBefore } as for notifications.listPurgeable
+  async function purgeMatching(criteria) {
+    let purged = 0;
+    for (;;) {
+      const batch = await storage.notifications.listPurgeable({ ...criteria, limit: PURGE_BATCH_SIZE });
+      if (batch.length === 0) break;
+      purged += await purge(batch);
+      if (batch.length < PURGE_BATCH_SIZE) break;
+    }
+    return purged;
+  }
+
+  // Everything in the trash, however recently deleted
+  async function emptyTrash() {
+    return { purged: await purgeMatching({ deletedBefore: null }) };
+  }
+
+  async function purgeExpired(now = new Date()) {
+    const purged = await purgeMatching({
+      deletedBefore: new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS),
+      sentBefore: ALERT_RETENTION_DAYS > 0 ? new Date(now.getTime() - ALERT_RETENTION_DAYS * DAY_MS) : null
+    });
+
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} alert(s) past retention`);
+      await audit.record(null, {
+        action: 'alert.retention_purge',
+        actor: 'retention',
+        actor_type: 'system',
+        after: { purged, trash_retention_days: TRASH_RETENTION_DAYS, alert_retention_days: ALERT_RETENTION_DAYS }
+      });
+    }
+    return { purged };
+  }
+
+  function start(intervalMinutes = RETENTION_INTERVAL_MINUTES) {
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await purgeExpired();
+      } catch (error) {
+        console.error('❌ Retention job error:', error);
+      } finally {
+        running = false;
+      }
+    }, intervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  return { purge, emptyTrash, purgeExpired, start };
+}
+
+module.exports = { TRASH_RETENTION_DAYS, ALERT_RETENTION_DAYS, purgeDateOf, createRetentionService };
@@ -0,0 +1,54 @@
+// Scheduled alert worker
+// Polls scheduled_alerts for pending rows whose send_at has passed and sends
+// them through the same fan-out as POST /api/alert.
+
+const SCHEDULER_INTERVAL_SECONDS = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 30;
+
+function createScheduler({ storage, alerts }) {
+  async function dispatchDue() {
+    const due = await storage.scheduledAlerts.listDue(new Date());
+    let sent = 0;
+
+    for (const scheduled of due) {
+      if (!await storage.scheduledAlerts.claim(scheduled.id)) continue;
+
+      try {
+        const result = await alerts.send(scheduled);
+        await storage.scheduledAlerts.markSent(scheduled.id, result.alert_id);
+        console.log(`⏰ Sent scheduled alert ${scheduled.id} as ${result.alert_id}`);
+        sent++;
+      } catch (error) {
+        console.error(`❌ Scheduled alert ${scheduled.id} failed:`, error);
+        await storage.scheduledAlerts.markFailed(scheduled.id, error.message);
+      }
+    }
+
+    return { sent };
+  }
+
+  async function start(intervalSeconds = SCHEDULER_INTERVAL_SECONDS) {
+    const interrupted = await storage.scheduledAlerts.failInterrupted();
+    if (interrupted > 0) {
+      console.warn(`⚠️ ${interrupted} scheduled alert(s) were mid-send during the last shutdown and were marked failed`);
+    }
+
+    let running = false;
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await dispatchDue();
+      } catch (error) {
+        console.error('❌ Scheduler error:', error);
+      } finally {
+        running = false;
+      }
+    }, intervalSeconds * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  return { dispatchDue, start };
+}
+
+module.exports = { createScheduler };
@@ -0,0 +1,394 @@
+// Request schemas for the routes in app.js (see lib/validation.js for the rules).
+// These check shape and types; the parse* helpers next to each feature still apply
+// the rules that depend on more than one field or on stored data.
+const { ROLES } = require('./auth');
+const { ALERT_LEVEL_COLORS } = require('./alerts');
+const { CODE_STATUSES, EMAIL_PATTERN } = require('./codes');
+const { TIME_PATTERN } = require('./preferences');
+const { SORTABLE_COLUMNS } = require('./pagination');
+const { CHANNELS } = require('./channels');
+const { WEBHOOK_FORMATS } = require('./webhooks');
+
+const ALERT_LEVEL_NAMES = Object.keys(ALERT_LEVEL_COLORS);
+const COLOR_PATTERN = /^#[0-9A-Fa-f]{6}([0-9A-Fa-f]{2})?$/;
+
+const code = { type: 'string', maxLength: 50 };
+const alertLevel = { type: 'string', lowercase: true, enum: ALERT_LEVEL_NAMES };
+const statusColor = { type: 'string', nullable: true, pattern: COLOR_PATTERN, message: 'must be a hex color like #DC2626' };
+const idList = { type: 'array', items: { type: 'string', maxLength: 50 } };
+
+// { user_id, teams_affected } as POST /api/alert takes
+const recipients = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      user_id: { ...code, required: true },
+      teams_affected: { type: 'integer', min: 0 }
+    }
+  }
+};
+
+// The fields shared by sending, scheduling and editing an alert
+const alertFields = {
+  title: { type: 'string', minLength: 1, maxLength: 500 },
+  status: { type: 'string', minLength: 1, maxLength: 100 },
+  status_color: statusColor,
+  alert_level: alertLevel,
+  details: { type: 'string', nullable: true, maxLength: 4000 },
+  player_id: { type: 'string', nullable: true, maxLength: 50 }
+};
+
+const codeFields = {
+  league_count: { type: 'integer', min: 1 },
+  device_limit: { type: 'integer', nullable: true, min: 1 },
+  expires_at: { type: 'date', nullable: true },
+  status: { type: 'string', enum: CODE_STATUSES },
+  plan: { type: 'string', nullable: true, maxLength: 50 },
+  owner_email: { type: 'string', nullable: true, maxLength: 255, pattern: EMAIL_PATTERN, message: 'is not a valid email address' },
+  note: { type: 'string', nullable: true, maxLength: 2000 }
+};
+
+// Query parameters read by lib/pagination.js parseListQuery
+const listQuery = {
+  sort: { type: 'string', enum: SORTABLE_COLUMNS },
+  order: { type: 'string', lowercase: true, enum: ['asc', 'desc'] },
+  limit: { type: 'integer', min: 1 },
+  cursor: { type: 'string' },
+  alert_level: { type: 'array', items: alertLevel },
+  player: { type: 'string', maxLength: 200 },
+  player_id: { type: 'string', maxLength: 50 },
+  team: { type: 'string', maxLength: 10 },
+  date: { type: 'date' },
+  from: { type: 'date' },
+  to: { type: 'date' }
+};
+
+const rangeQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  format: { type: 'string', enum: ['json', 'csv'] }
+};
+
+module.exports = {
+  login: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, trim: false, maxLength: 200 }
+    }
+  },
+
+  createAdmin: {
+    body: {
+      username: { type: 'string', required: true, maxLength: 100 },
+      password: { type: 'string', required: true, trim: false, maxLength: 200 },
+      role: { type: 'string', required: true, enum: ROLES }
+    }
+  },
+
+  updateAdmin: {
+    body: {
+      role: { type: 'string', enum: ROLES },
+      password: { type: 'string', trim: false, minLength: 1, maxLength: 200 }
+    }
+  },
+
+  // Items are a code string or { code, ...codeFields }, each checked against codeItem
+  addCodes: {
+    body: {
+      codes: { type: 'array', required: true, minItems: 1, maxItems: 5000 }
+    }
+  },
+
+  // The body is JSON { codes } or CSV text, checked by lib/codeImport.js
+  importCodes: {
+    query: {
+      dry_run: { type: 'boolean' },
+      upsert: { type: 'boolean' }
+    }
+  },
+
+  exportCodes: {
+    query: {
+      format: { type: 'string', enum: ['json', 'csv'] }
+    }
+  },
+
+  codeItem: {
+    code: { ...code, required: true, pattern: /^[^\s,]+$/, message: 'must not contain spaces or commas' },
+    ...codeFields
+  },
+
+  generateCodes: {
+    body: {
+      count: { type: 'integer', required: true, min: 1, max: 500 },
+      length: { type: 'integer', min: 6, max: 16 },
+      prefix: { type: 'string', uppercase: true, pattern: /^[A-Z0-9-]{0,10}$/, message: 'may only use letters, digits and dashes (max 10)' },
+      ...codeFields
+    }
+  },
+
+  updateCode: {
+    params: { code: { ...code, required: true } },
+    body: codeFields
+  },
+
+  codeParam: {
+    params: { code: { ...code, required: true } }
+  },
+
+  register: {
+    body: {
+      code: { ...code, required: true },
+      pushToken: { type: 'string', required: true, maxLength: 500 },
+      device_name: { type: 'string', nullable: true, maxLength: 100 },
+      registration_secret: { type: 'string', maxLength: 100 }
+    }
+  },
+
+  // title, status and alert_level may come from a template or the player registry,
+  // so validateAlert checks them once those are applied
+  sendAlert: {
+    body: {
+      ...alertFields,
+      users: recipients,
+      send_at: { type: 'date' },
+      template_id: { type: 'string', maxLength: 50 },
+      variables: { type: 'object' },
+      group_ids: idList,
+      force: { type: 'boolean' }
+    }
+  },
+
+  // Omitted fields keep their current value
+  updateAlert: {
+    body: {
+      ...alertFields,
+      notify: { type: 'boolean' }
+    }
+  },
+
+  template: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      status: { type: 'string', nullable: true, maxLength: 100 },
+      alert_level: { ...alertLevel, nullable: true },
+      details: { type: 'string', nullable: true, maxLength: 4000 }
+    }
+  },
+
+  group: {
+    body: {
+      name: { type: 'string', maxLength: 100 },
+      codes: { type: 'array', items: code },
+      min_league_count: { type: 'integer', nullable: true, min: 1 },
+      max_league_count: { type: 'integer', nullable: true, min: 1 }
+    }
+  },
+
+  createTeam: {
+    body: {
+      abbreviation: { type: 'string', required: true, maxLength: 10 },
+      name: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+
+  updateTeam: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 100 }
+    }
+  },
+
+  listPlayers: {
+    query: {
+      q: { type: 'string', maxLength: 200 },
+      team: { type: 'string', maxLength: 10 },
+      include_inactive: { type: 'boolean' },
+      limit: { type: 'integer', min: 1 }
+    }
+  },
+
+  createPlayer: {
+    body: {
+      name: { type: 'string', required: true, maxLength: 200 },
+      team: { type: 'string', required: true, maxLength: 10 },
+      team_name: { type: 'string', maxLength: 100 },
+      positions: { type: 'string', maxLength: 50 },
+      external_id: { type: 'string', nullable: true, maxLength: 100 }
+    }
+  },
+
+  // Each JSON item or CSV row of POST /api/players/import, checked by importPlayers
+  playerItem: {
+    name: { type: 'string', required: true, maxLength: 200 },
+    team: { type: 'string', required: true, maxLength: 10 },
+    team_name: { type: 'string', maxLength: 100 },
+    positions: { type: 'string', maxLength: 50 },
+    external_id: { type: 'string', nullable: true, maxLength: 100 }
+  },
+
+  updatePlayer: {
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 200 },
+      team: { type: 'string', minLength: 1, maxLength: 10 },
+      positions: { type: 'string', maxLength: 50 },
+      external_id: { type: 'string', nullable: true, maxLength: 100 },
+      is_active: { type: 'boolean' }
+    }
+  },
+
+  listScheduled: {
+    query: {
+      state: { type: 'string', enum: ['pending', 'sending', 'sent', 'cancelled', 'failed', 'all'] }
+    }
+  },
+
+  updateScheduled: {
+    body: {
+      ...alertFields,
+      users: { ...recipients, minItems: 1 },
+      send_at: { type: 'date' }
+    }
+  },
+
+  listDrafts: {
+    query: {
+      state: { type: 'string', enum: ['pending', 'sending', 'sent', 'rejected', 'superseded', 'failed'] },
+      limit: { type: 'integer', min: 1 }
+    }
+  },
+
+  approveDraft: {
+    body: {
+      alert_level: alertLevel,
+      details: { type: 'string', nullable: true, maxLength: 4000 },
+      users: recipients,
+      group_ids: idList,
+      force: { type: 'boolean' }
+    }
+  },
+
+  toggleNotifications: {
+    body: {
+      enabled: { type: 'boolean', required: true }
+    }
+  },
+
+  removeDevice: {
+    params: {
+      code: { ...code, required: true },
+      id: { type: 'integer', required: true, min: 1 }
+    }
+  },
+
+  // mergePreferences checks the combination (e.g. quiet_start needs quiet_end)
+  preferences: {
+    body: {
+      min_alert_level: { ...alertLevel, nullable: true },
+      status_allow: { type: 'array', nullable: true, items: { type: 'string', maxLength: 100 } },
+      status_deny: { type: 'array', nullable: true, items: { type: 'string', maxLength: 100 } },
+      quiet_start: { type: 'string', nullable: true, pattern: TIME_PATTERN, message: 'must be a time in HH:MM format' },
+      quiet_end: { type: 'string', nullable: true, pattern: TIME_PATTERN, message: 'must be a time in HH:MM format' },
+      time_zone: { type: 'string', nullable: true, maxLength: 64 }
+    }
+  },
+
+  replaceRoster: {
+    body: {
+      leagues: {
+        type: 'array',
+        required: true,
+        items: {
+          type: 'object',
+          properties: {
+            league_number: { type: 'integer', required: true, min: 1 },
+            player_ids: { ...idList, required: true }
+          }
+        }
+      }
+    }
+  },
+
+  replaceRosterLeague: {
+    params: {
+      code: { ...code, required: true },
+      league_number: { type: 'integer', required: true, min: 1 }
+    },
+    body: {
+      player_ids: { ...idList, required: true }
+    }
+  },
+
+  channelParam: {
+    params: {
+      code: { ...code, required: true },
+      channel: { type: 'string', required: true, lowercase: true, enum: CHANNELS }
+    }
+  },
+
+  // The target itself is checked against channelTargets once :channel is known.
+  // secret: null removes it; left out keeps the current one.
+  saveChannel: {
+    params: {
+      code: { ...code, required: true },
+      channel: { type: 'string', required: true, lowercase: true, enum: CHANNELS }
+    },
+    body: {
+      target: { type: 'string', required: true, maxLength: 1000 },
+      format: { type: 'string', lowercase: true, enum: WEBHOOK_FORMATS },
+      secret: { type: 'string', nullable: true, trim: false, minLength: 16, maxLength: 200 },
+      enabled: { type: 'boolean' }
+    }
+  },
+
+  channelTargets: {
+    email: {
+      target: { type: 'string', maxLength: 255, pattern: EMAIL_PATTERN, message: 'is not a valid email address' }
+    },
+    webhook: {
+      target: { type: 'string', pattern: /^https?:\/\/[^\s/]+\S*$/i, message: 'must be an http or https URL' }
+    }
+  },
+
+  listAlerts: {
+    query: listQuery
+  },
+
+  listUserAlerts: {
+    query: { ...listQuery, unread: { type: 'boolean' } }
+  },
+
+  // before: only alerts sent up to then, so one that arrives meanwhile stays unread
+  markAllRead: {
+    body: {
+      before: { type: 'date' }
+    }
+  },
+
+  audit: {
+    query: {
+      actor: { type: 'string', maxLength: 100 },
+      target_type: { type: 'string', maxLength: 50 },
+      target_id: { type: 'string', maxLength: 300 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      limit: { type: 'integer', min: 1 },
+      cursor: { type: 'string' }
+    }
+  },
+
+  analyticsRange: {
+    query: rangeQuery
+  },
+
+  topPlayers: {
+    query: { ...rangeQuery, limit: { type: 'integer', min: 1 } }
+  },
+
+  codeActivity: {
+    query: {
+      format: rangeQuery.format,
+      dormant_days: { type: 'integer', min: 1 }
+    }
+  }
+};
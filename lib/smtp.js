@@ -0,0 +1,40 @@
+// SMTP transport for the email channel, on nodemailer: one connection per
+// message, STARTTLS when the server offers it and AUTH when SMTP_USER is set.
+// SMTP_SECURE=true connects with TLS from the start (port 465).
+const nodemailer = require('nodemailer');
+
+const SMTP_CONFIG = {
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASSWORD,
+  // Set to false for local catchers with self-signed certificates
+  rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+  timeoutMs: parseInt(process.env.SMTP_TIMEOUT_MS) || 15000
+};
+
+// Returns { sendMail({ from, to, subject, text }) }, which resolves once the server
+// accepted the message. Failures carry nodemailer's code (EAUTH, ECONNECTION, ...).
+function createSmtpTransport(options = SMTP_CONFIG) {
+  const { host, port, secure, user, pass, rejectUnauthorized = true, timeoutMs = 15000 } = options;
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    name: options.name,
+    auth: user ? { user, pass: pass || '' } : undefined,
+    tls: { rejectUnauthorized },
+    connectionTimeout: timeoutMs,
+    greetingTimeout: timeoutMs,
+    socketTimeout: timeoutMs
+  });
+
+  return {
+    async sendMail(message) {
+      await transporter.sendMail(message);
+    }
+  };
+}
+
+module.exports = { SMTP_CONFIG, createSmtpTransport };
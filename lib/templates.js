@@ -0,0 +1,66 @@
+// Alert templates: a status, alert_level and details pattern picked in the send form.
+// details may use {player}, {title}, {team}, {status} and {alert_level}, plus any
+// key of the "variables" object sent with the alert.
+const { ALERT_LEVELS } = require('./preferences');
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+// Validates a create (partial = false) or update body.
+// Returns { error } or { fields } holding only the keys present in body.
+function parseTemplate(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'name is required' };
+    fields.name = name.slice(0, 100);
+  }
+
+  if (body.status !== undefined) {
+    fields.status = body.status ? String(body.status).trim() : null;
+  }
+
+  if (body.alert_level !== undefined) {
+    const alert_level = body.alert_level ? String(body.alert_level).toLowerCase() : null;
+    if (alert_level && !ALERT_LEVELS.includes(alert_level)) {
+      return { error: `alert_level must be one of ${ALERT_LEVELS.join(', ')}` };
+    }
+    fields.alert_level = alert_level;
+  }
+
+  if (body.details !== undefined) {
+    fields.details = body.details ? String(body.details) : null;
+  }
+
+  return { fields };
+}
+
+function placeholdersIn(pattern) {
+  return [...new Set([...(pattern || '').matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+// Fills a template's gaps in an alert body; fields the sender set are kept
+function applyTemplate(template, body) {
+  return {
+    ...body,
+    status: body.status || template.status,
+    alert_level: body.alert_level || template.alert_level
+  };
+}
+
+// Only own keys of values count, so {constructor} or {__proto__} is reported
+// missing rather than filled from Object.prototype
+function valueOf(values, name) {
+  return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : undefined;
+}
+
+// Returns { error } naming any placeholder without a value, or { details }
+function renderDetails(pattern, values) {
+  const missing = placeholdersIn(pattern).filter(name => valueOf(values, name) === undefined || valueOf(values, name) === null);
+  if (missing.length > 0) {
+    return { error: `Missing template variable(s): ${missing.join(', ')}` };
+  }
+  return { details: (pattern || '').replace(PLACEHOLDER, (match, name) => String(valueOf(values, name))) };
+}
+
+module.exports = { parseTemplate, placeholdersIn, applyTemplate, renderDetails };
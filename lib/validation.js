@@ -0,0 +1,165 @@
+// Declarative request validation. A schema maps field names to rules:
+//
+//   type       string, integer, number, boolean, date, array or object (omit for any)
+//   required   must be present; required strings must also be non-empty once trimmed
+//   nullable   null is accepted (and passed through as null)
+//   enum       allowed values, checked after lowercase/uppercase
+//   lowercase, uppercase   normalise a string before the other checks
+//   minLength, maxLength, pattern (with an optional message) for strings;
+//   trim: false keeps surrounding whitespace (passwords)
+//   min, max   for integers and numbers
+//   minItems, maxItems, items (the rule for each element) for arrays
+//   properties the schema of a nested object
+//
+// Strings are otherwise trimmed. Numeric strings are accepted for integer and number, and
+// query/route parameters, which are always strings, are converted to the rule's type.
+// Fields that are not in the schema are passed through untouched.
+const { sendError } = require('./errors');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(rule, value, path, errors) {
+  if (typeof value !== 'string') {
+    errors[path] = 'must be a string';
+    return undefined;
+  }
+
+  let text = rule.trim === false ? value : value.trim();
+  if (rule.lowercase) text = text.toLowerCase();
+  if (rule.uppercase) text = text.toUpperCase();
+
+  if (rule.required && text === '') errors[path] = 'is required';
+  else if (rule.minLength !== undefined && text.length < rule.minLength) {
+    errors[path] = rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`;
+  }
+  else if (rule.maxLength !== undefined && text.length > rule.maxLength) errors[path] = `must be at most ${rule.maxLength} characters`;
+  else if (rule.pattern && !rule.pattern.test(text)) errors[path] = rule.message || 'is not in the expected format';
+  else if (rule.enum && text !== '' && !rule.enum.includes(text)) errors[path] = `must be one of ${rule.enum.join(', ')}`;
+  return text;
+}
+
+function checkNumber(rule, value, path, errors) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  const integer = rule.type === 'integer';
+
+  if (typeof number !== 'number' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    errors[path] = integer ? 'must be an integer' : 'must be a number';
+    return undefined;
+  }
+  if (rule.min !== undefined && number < rule.min) errors[path] = `must be at least ${rule.min}`;
+  else if (rule.max !== undefined && number > rule.max) errors[path] = `must be at most ${rule.max}`;
+  else if (rule.enum && !rule.enum.includes(number)) errors[path] = `must be one of ${rule.enum.join(', ')}`;
+  return number;
+}
+
+// Returns the value converted to the rule's type; errors collects messages by path
+function checkRule(rule, value, path, errors, fromString) {
+  if (value === undefined || (fromString && value === '')) {
+    if (rule.required) errors[path] = 'is required';
+    return undefined;
+  }
+  if (value === null) {
+    if (!rule.nullable) errors[path] = rule.required ? 'is required' : 'must not be null';
+    return null;
+  }
+
+  switch (rule.type) {
+    case 'string':
+      return checkString(rule, value, path, errors);
+
+    case 'integer':
+    case 'number':
+      return checkNumber(rule, value, path, errors);
+
+    case 'boolean':
+      if (fromString && (value === 'true' || value === 'false')) return value === 'true';
+      if (typeof value !== 'boolean') errors[path] = 'must be true or false';
+      return value;
+
+    case 'date':
+      if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(new Date(value).getTime())) {
+        errors[path] = 'must be a date';
+      }
+      return value;
+
+    case 'array': {
+      const list = fromString && typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(list)) {
+        errors[path] = 'must be an array';
+        return undefined;
+      }
+      if (rule.minItems !== undefined && list.length < rule.minItems) {
+        errors[path] = rule.minItems === 1 ? 'must not be empty' : `must have at least ${rule.minItems} items`;
+      } else if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+        errors[path] = `must have at most ${rule.maxItems} items`;
+      }
+      return rule.items
+        ? list.map((item, i) => checkRule({ required: true, ...rule.items }, item, `${path}[${i}]`, errors, fromString))
+        : list;
+    }
+
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors[path] = 'must be an object';
+        return undefined;
+      }
+      return rule.properties ? checkObject(rule.properties, value, `${path}.`, errors, fromString) : value;
+
+    default:
+      return value;
+  }
+}
+
+function checkObject(schema, object, prefix, errors, fromString) {
+  const result = { ...object };
+  for (const [key, rule] of Object.entries(schema)) {
+    const value = checkRule(rule, object[key], `${prefix}${key}`, errors, fromString);
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+// Checks object against schema. Returns { value } with converted fields, or
+// { error, fields } naming the first problem and listing all of them.
+function validateFields(schema, object, { fromString = false } = {}) {
+  const errors = {};
+  const value = checkObject(schema, object || {}, '', errors, fromString);
+
+  const entries = Object.entries(errors);
+  if (entries.length === 0) return { value };
+  return { error: `${entries[0][0]} ${entries[0][1]}`, fields: errors };
+}
+
+// Route middleware: schemas is { params, query, body }. The converted values
+// replace req.params, req.query and req.body; failures answer 400 validation_failed.
+function validate(schemas) {
+  return (req, res, next) => {
+    const fields = {};
+    let message = null;
+
+    for (const location of ['params', 'query', 'body']) {
+      if (!schemas[location]) continue;
+
+      if (location === 'body' && req.body !== undefined && !isPlainObject(req.body)) {
+        fields.body = 'must be a JSON object';
+        message = message || 'Request body must be a JSON object';
+        continue;
+      }
+
+      const result = validateFields(schemas[location], req[location], { fromString: location !== 'body' });
+      if (result.error) {
+        Object.assign(fields, result.fields);
+        message = message || result.error;
+      } else {
+        req[location] = result.value;
+      }
+    }
+
+    if (message) return sendError(res, 400, message, { code: 'validation_failed', fields });
+    next();
+  };
+}
+
+module.exports = { validate, validateFields };
@@ -0,0 +1,129 @@
+// Webhook channel: POSTs each alert to the URL a code holder set up, e.g. a
+// Discord or Slack league chat. format picks the body: json (the alert's fields),
+// slack ({ text }) or discord ({ content }). With a secret the body is signed like
+// /api/ingest requests are: X-Alert-Signature: sha256=<hex HMAC-SHA256 of the body>.
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { DeliveryError, notificationText, createChannel } = require('./channels');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// Loopback and private network addresses are refused unless this is set (e.g. for local testing)
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const PRIVATE_V4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+];
+
+function v4ToInt(address) {
+  return address.split('.').reduce((value, part) => value * 256 + parseInt(part), 0);
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+
+  if (net.isIPv4(address)) {
+    const value = v4ToInt(address);
+    return PRIVATE_V4.some(([base, bits]) => Math.floor(value / 2 ** (32 - bits)) === Math.floor(v4ToInt(base) / 2 ** (32 - bits)));
+  }
+  const lower = address.toLowerCase();
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+// Wraps a dns.lookup-style resolver for http.request so that it refuses private
+// addresses. The request connects to the address checked here; a separate check
+// before connecting would let a second DNS answer point somewhere private.
+function publicLookup(resolve) {
+  return (hostname, options, callback) => {
+    resolve(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+      if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        return callback(new DeliveryError(`${hostname} is a private network address`, 'BlockedAddress'));
+      }
+      if (options.all) return callback(null, addresses);
+      callback(null, addresses[0].address, addresses[0].family);
+    });
+  };
+}
+
+// Resolves to the response status. Redirects are not followed, so a public URL
+// cannot bounce the request somewhere private; the body is dropped unread.
+function post(url, { headers, payload, lookup }) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(payload) },
+      lookup,
+      timeout: WEBHOOK_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => request.destroy(new DeliveryError(`No response within ${WEBHOOK_TIMEOUT_MS} ms`, 'Timeout')));
+    request.on('error', reject);
+    request.end(payload);
+  });
+}
+
+function buildBody(notification, format) {
+  switch (format) {
+    case 'slack':
+      return { text: `*${notification.title}*\n${notificationText(notification)}` };
+    case 'discord':
+      // Discord rejects messages over 2000 characters
+      return { content: `**${notification.title}**\n${notificationText(notification)}`.slice(0, 2000) };
+    default:
+      return { title: notification.title, body: notification.body, ...notification.data };
+  }
+}
+
+// lookup is the dns.lookup-style resolver used for webhook hosts
+function createWebhookChannel({ storage, allowPrivate = WEBHOOK_ALLOW_PRIVATE, lookup = dns.lookup }) {
+  const checkedLookup = allowPrivate ? lookup : publicLookup(lookup);
+
+  async function deliver({ url, secret, body }) {
+    const target = new URL(url);
+    // An address in the URL itself is connected to without a lookup
+    const host = target.hostname.replace(/^\[|\]$/g, '');
+    if (!allowPrivate && net.isIP(host) && isPrivateAddress(host)) {
+      throw new DeliveryError(`${host} is a private network address`, 'BlockedAddress');
+    }
+
+    const payload = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'BasketballMonster-Webhook/1.0' };
+    if (secret) {
+      headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('hex')}`;
+    }
+
+    let status;
+    try {
+      status = await post(target, { headers, payload, lookup: checkedLookup });
+    } catch (error) {
+      if (error instanceof DeliveryError) throw error;
+      throw new DeliveryError(error.message, error.code || 'SendFailed');
+    }
+    if (status < 200 || status >= 300) {
+      throw new DeliveryError(`Webhook answered HTTP ${status}`, 'HttpError');
+    }
+  }
+
+  return createChannel({
+    name: 'webhook',
+    storage,
+    buildMessage: (notification, setting) => ({
+      url: setting.target,
+      secret: setting.secret,
+      body: buildBody(notification, setting.format)
+    }),
+    deliver,
+    targetOf: message => message.url
+  });
+}
+
+module.exports = { WEBHOOK_FORMATS, createWebhookChannel };
@@ -0,0 +1,74 @@
+// Measures the alert fan-out against a throwaway SQLite database: queries issued
+// and time taken by alerts.send for growing recipient lists. Pushes are stubbed,
+// so nothing leaves the machine.
+//
+//   npm run bench:fanout            # 10, 100 and 1000 recipients
+//   node scripts/bench-fanout.js 50 500
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { createAlertService } = require('../lib/alerts');
+const { createEventHub } = require('../lib/events');
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+
+async function seed(storage, count) {
+  const codes = [];
+  await storage.transaction(async (tx) => {
+    for (let i = 0; i < count; i++) {
+      const code = `BENCH${String(i).padStart(6, '0')}`;
+      await tx.codes.insert({ code });
+      await tx.devices.insert({ code, pushToken: `ExponentPushToken[bench-${i}]`, registrationId: `bench-${i}` });
+      codes.push(code);
+    }
+  });
+  return codes;
+}
+
+async function run(count) {
+  const filename = path.join(os.tmpdir(), `bench-fanout-${process.pid}-${count}.db`);
+  const storage = createStorage({ client: 'sqlite', filename });
+  const silence = console.log;
+
+  try {
+    console.log = () => {};
+    await storage.init();
+    const users = (await seed(storage, count)).map(code => ({ user_id: code, teams_affected: 1 }));
+
+    // Every repository calls db.query, so counting there covers the whole send
+    let queries = 0;
+    const query = storage.db.query;
+    storage.db.query = (text, params) => {
+      queries++;
+      return query(text, params);
+    };
+
+    const push = { send: async (alertId, entries) => ({ sent: entries.length, errored: 0 }) };
+    const alerts = createAlertService({ storage, push, events: createEventHub() });
+
+    const started = process.hrtime.bigint();
+    const result = await alerts.send({ title: 'Bench Player - LAL', status: 'Out', alert_level: 'high', details: '', users });
+    const ms = Number(process.hrtime.bigint() - started) / 1e6;
+
+    storage.db.query = query;
+    return { recipients: count, stored: result.successful, queued: result.push.queued, queries, ms: ms.toFixed(1) };
+  } finally {
+    console.log = silence;
+    await storage.close();
+    fs.rmSync(filename, { force: true });
+  }
+}
+
+async function main() {
+  const results = [];
+  for (const count of sizes.length > 0 ? sizes : [10, 100, 1000]) {
+    results.push(await run(count));
+  }
+  console.table(results);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,122 @@
+// Azure SQL (mssql) adapter
+const { AsyncLocalStorage } = require('async_hooks');
+const sql = require('mssql');
+
+const dialect = {
+  name: 'azure',
+  now: 'GETDATE()',
+  // Appended after an ORDER BY clause
+  limit: (limit, offset = '0') => `OFFSET ${offset} ROWS FETCH NEXT ${limit} ROWS ONLY`,
+  date: (column) => `CAST(${column} AS DATE)`
+};
+
+function columnSql(name, column) {
+  if (column.type === 'id') return `${name} INT IDENTITY(1,1) PRIMARY KEY`;
+
+  const types = {
+    string: `NVARCHAR(${column.length || 255})`,
+    text: 'NVARCHAR(MAX)',
+    int: 'INT',
+    bool: 'BIT',
+    datetime: 'DATETIME'
+  };
+
+  let definition = `${name} ${types[column.type]}`;
+  if (column.primaryKey) definition += ' PRIMARY KEY';
+  if (column.unique) definition += ' UNIQUE';
+  if (column.default === 'now') definition += ` DEFAULT ${dialect.now}`;
+  else if (typeof column.default === 'number') definition += ` DEFAULT ${column.default}`;
+  else if (typeof column.default === 'string') definition += ` DEFAULT '${column.default}'`;
+  return definition;
+}
+
+function createAzureAdapter(config) {
+  let pool;
+  // The open sql.Transaction for the async work of a transaction: queries made
+  // there, through any repository, run on it instead of another pool connection
+  const transactionContext = new AsyncLocalStorage();
+
+  async function run(request, text, params = {}) {
+    for (const [name, value] of Object.entries(params)) {
+      request.input(name, value === undefined ? null : value);
+    }
+    const result = await request.query(text);
+    return {
+      rows: result.recordset || [],
+      rowsAffected: (result.rowsAffected || []).reduce((sum, n) => sum + n, 0)
+    };
+  }
+
+  const adapter = {
+    dialect,
+
+    async connect() {
+      pool = await sql.connect(config);
+      console.log('✅ Connected to Azure SQL Database');
+    },
+
+    async close() {
+      if (pool) await pool.close();
+    },
+
+    query(text, params) {
+      const tx = transactionContext.getStore();
+      return run(tx ? new sql.Request(tx) : pool.request(), text, params);
+    },
+
+    async transaction(work) {
+      // A transaction started from inside another one joins it
+      if (transactionContext.getStore()) return work(adapter);
+
+      const tx = new sql.Transaction(pool);
+      await tx.begin();
+      return transactionContext.run(tx, async () => {
+        try {
+          const result = await work(adapter);
+          await tx.commit();
+          return result;
+        } catch (error) {
+          await tx.rollback();
+          throw error;
+        }
+      });
+    },
+
+    async ensureSchema(schema) {
+      for (const [table, definition] of Object.entries(schema)) {
+        const columns = Object.entries(definition.columns);
+
+        await adapter.query(`
+          IF NOT EXISTS (SELECT * FROM sysobjects WHERE name='${table}' AND xtype='U')
+          CREATE TABLE ${table} (
+            ${columns.map(([name, column]) => columnSql(name, column)).join(',\n            ')}
+          )
+        `);
+
+        const existing = await adapter.query(
+          'SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = @table',
+          { table }
+        );
+        const existingNames = new Set(existing.rows.map(row => row.COLUMN_NAME.toLowerCase()));
+        for (const [name, column] of columns) {
+          if (!existingNames.has(name.toLowerCase())) {
+            // WITH VALUES fills the default into existing rows instead of leaving NULL
+            const withValues = column.default !== undefined ? ' WITH VALUES' : '';
+            await adapter.query(`ALTER TABLE ${table} ADD ${columnSql(name, column)}${withValues}`);
+          }
+        }
+
+        for (const index of definition.indexes || []) {
+          await adapter.query(`
+            IF NOT EXISTS (SELECT * FROM sys.indexes WHERE name='${index.name}')
+            CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX ${index.name} ON ${table} (${index.columns.join(', ')})
+          `);
+        }
+      }
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = { createAzureAdapter };
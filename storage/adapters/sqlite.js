@@ -0,0 +1,152 @@
+// SQLite adapter for running the server locally without an Azure database.
+// Timestamps are stored as ISO-8601 UTC strings so they sort and compare as text.
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3');
+
+const NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+const dialect = {
+  name: 'sqlite',
+  now: NOW,
+  // Appended after an ORDER BY clause
+  limit: (limit, offset = '0') => `LIMIT ${limit} OFFSET ${offset}`,
+  date: (column) => `date(${column})`
+};
+
+function columnSql(name, column, { adding = false } = {}) {
+  if (column.type === 'id') return `${name} INTEGER PRIMARY KEY AUTOINCREMENT`;
+
+  const types = { string: 'TEXT', text: 'TEXT', int: 'INTEGER', bool: 'INTEGER', datetime: 'TEXT' };
+
+  let definition = `${name} ${types[column.type]}`;
+  if (column.primaryKey) definition += ' PRIMARY KEY';
+  if (column.unique) definition += ' UNIQUE';
+  // SQLite cannot add a column with a non-constant default
+  if (column.default === 'now' && !adding) definition += ` DEFAULT (${NOW})`;
+  else if (typeof column.default === 'number') definition += ` DEFAULT ${column.default}`;
+  else if (typeof column.default === 'string' && column.default !== 'now') definition += ` DEFAULT '${column.default}'`;
+  return definition;
+}
+
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function createSqliteAdapter({ filename }) {
+  let db;
+  // SQLite has a single connection here, so transactions take turns on it. While
+  // one is open or waiting, every other query queues behind it too; otherwise it
+  // would run inside the transaction and be committed or rolled back with it.
+  let queue = Promise.resolve();
+  let pendingTransactions = 0;
+  // Set for the async work of the running transaction, whose queries go straight through
+  const transactionContext = new AsyncLocalStorage();
+
+  function enqueue(task) {
+    const result = queue.then(task, task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function query(text, params = {}) {
+    if (pendingTransactions === 0 || transactionContext.getStore()) return execute(text, params);
+    return enqueue(() => execute(text, params));
+  }
+
+  function execute(text, params = {}) {
+    const bound = {};
+    for (const [, name] of text.matchAll(/@(\w+)/g)) {
+      if (name in params) bound[`@${name}`] = toSqliteValue(params[name]);
+    }
+
+    const returnsRows = /^\s*(SELECT|WITH|PRAGMA)\b/i.test(text) || /\bRETURNING\b/i.test(text);
+
+    return new Promise((resolve, reject) => {
+      if (returnsRows) {
+        db.all(text, bound, (err, rows) => (err ? reject(err) : resolve({ rows, rowsAffected: rows.length })));
+      } else {
+        db.run(text, bound, function (err) {
+          if (err) return reject(err);
+          resolve({ rows: [], rowsAffected: this.changes });
+        });
+      }
+    });
+  }
+
+  const adapter = {
+    dialect,
+
+    connect() {
+      return new Promise((resolve, reject) => {
+        db = new sqlite3.Database(filename, (err) => {
+          if (err) return reject(err);
+          console.log(`✅ Connected to SQLite database (${filename})`);
+          resolve();
+        });
+      });
+    },
+
+    close() {
+      return new Promise((resolve, reject) => {
+        if (!db) return resolve();
+        db.close(err => (err ? reject(err) : resolve()));
+      });
+    },
+
+    query,
+
+    transaction(work) {
+      // A transaction started from inside another one joins it
+      if (transactionContext.getStore()) return work(adapter);
+
+      const run = () => transactionContext.run(true, async () => {
+        await execute('BEGIN TRANSACTION');
+        try {
+          const result = await work(adapter);
+          await execute('COMMIT');
+          return result;
+        } catch (error) {
+          await execute('ROLLBACK');
+          throw error;
+        }
+      });
+
+      pendingTransactions++;
+      const result = enqueue(run);
+      const done = () => { pendingTransactions--; };
+      result.then(done, done);
+      return result;
+    },
+
+    async ensureSchema(schema) {
+      for (const [table, definition] of Object.entries(schema)) {
+        const columns = Object.entries(definition.columns);
+
+        await query(`
+          CREATE TABLE IF NOT EXISTS ${table} (
+            ${columns.map(([name, column]) => columnSql(name, column)).join(',\n            ')}
+          )
+        `);
+
+        const existing = await query(`PRAGMA table_info(${table})`);
+        const existingNames = new Set(existing.rows.map(row => row.name.toLowerCase()));
+        for (const [name, column] of columns) {
+          if (!existingNames.has(name.toLowerCase())) {
+            await query(`ALTER TABLE ${table} ADD COLUMN ${columnSql(name, column, { adding: true })}`);
+          }
+        }
+
+        for (const index of definition.indexes || []) {
+          await query(`CREATE ${index.unique ? 'UNIQUE ' : ''}INDEX IF NOT EXISTS ${index.name} ON ${table} (${index.columns.join(', ')})`);
+        }
+      }
+    }
+  };
+
+  return adapter;
+}
+
+module.exports = { createSqliteAdapter };
@@ -0,0 +1,109 @@
+// Storage layer
+// Picks a database adapter with DB_CLIENT ("azure" or "sqlite", default "azure")
+// and exposes one repository per table, so routes never build driver requests.
+const { createAzureAdapter } = require('./adapters/azure');
+const { createSqliteAdapter } = require('./adapters/sqlite');
+const schema = require('./schema');
+const migrations = require('./migrations');
+const createCodesRepository = require('./repositories/codes');
+const createDevicesRepository = require('./repositories/devices');
+const createUserAlertsRepository = require('./repositories/userAlerts');
+const createNotificationsRepository = require('./repositories/notifications');
+const createAdminsRepository = require('./repositories/admins');
+const createSessionsRepository = require('./repositories/sessions');
+const createDeliveriesRepository = require('./repositories/deliveries');
+const createChannelsRepository = require('./repositories/channels');
+const createChannelDeliveriesRepository = require('./repositories/channelDeliveries');
+const createScheduledAlertsRepository = require('./repositories/scheduledAlerts');
+const createRevisionsRepository = require('./repositories/revisions');
+const createTeamsRepository = require('./repositories/teams');
+const createPlayersRepository = require('./repositories/players');
+const createRostersRepository = require('./repositories/rosters');
+const createPreferencesRepository = require('./repositories/preferences');
+const createAnalyticsRepository = require('./repositories/analytics');
+const createTemplatesRepository = require('./repositories/templates');
+const createGroupsRepository = require('./repositories/groups');
+const createInjuryReportsRepository = require('./repositories/injuryReports');
+const createDraftsRepository = require('./repositories/drafts');
+const createAuditRepository = require('./repositories/audit');
+
+function azureConfigFromEnv() {
+  return {
+    user: process.env.AZURE_SQL_USER,
+    password: process.env.AZURE_SQL_PASSWORD,
+    database: process.env.AZURE_SQL_DATABASE,
+    server: process.env.AZURE_SQL_SERVER,
+    pool: {
+      max: 10,
+      min: 0,
+      idleTimeoutMillis: 30000
+    },
+    options: {
+      encrypt: true,
+      trustServerCertificate: false
+    }
+  };
+}
+
+function createAdapter(client, options) {
+  switch (client) {
+    case 'azure':
+      return createAzureAdapter(options.azure || azureConfigFromEnv());
+    case 'sqlite':
+      return createSqliteAdapter({ filename: options.filename || process.env.SQLITE_FILENAME || 'devices.db' });
+    default:
+      throw new Error(`Unknown DB_CLIENT "${client}" (expected "azure" or "sqlite")`);
+  }
+}
+
+function createRepositories(db) {
+  return {
+    codes: createCodesRepository(db),
+    devices: createDevicesRepository(db),
+    userAlerts: createUserAlertsRepository(db),
+    notifications: createNotificationsRepository(db),
+    admins: createAdminsRepository(db),
+    sessions: createSessionsRepository(db),
+    deliveries: createDeliveriesRepository(db),
+    channels: createChannelsRepository(db),
+    channelDeliveries: createChannelDeliveriesRepository(db),
+    scheduledAlerts: createScheduledAlertsRepository(db),
+    revisions: createRevisionsRepository(db),
+    teams: createTeamsRepository(db),
+    players: createPlayersRepository(db),
+    rosters: createRostersRepository(db),
+    preferences: createPreferencesRepository(db),
+    analytics: createAnalyticsRepository(db),
+    templates: createTemplatesRepository(db),
+    groups: createGroupsRepository(db),
+    injuryReports: createInjuryReportsRepository(db),
+    drafts: createDraftsRepository(db),
+    audit: createAuditRepository(db)
+  };
+}
+
+function createStorage(options = {}) {
+  const client = (options.client || process.env.DB_CLIENT || 'azure').toLowerCase();
+  const db = createAdapter(client, options);
+
+  return {
+    client,
+    db,
+
+    async init() {
+      await db.connect();
+      await db.ensureSchema(schema);
+      for (const migrate of migrations) await migrate(db);
+      console.log('✅ Database tables initialized');
+    },
+
+    close: () => db.close(),
+    ping: () => db.query('SELECT 1'),
+    // Runs work(repositories) with every repository bound to one transaction
+    transaction: (work) => db.transaction(tx => work(createRepositories(tx))),
+
+    ...createRepositories(db)
+  };
+}
+
+module.exports = { createStorage };
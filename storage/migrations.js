@@ -0,0 +1,26 @@
+// Data moves that ensureSchema cannot express. They run after ensureSchema on
+// every startup, so each one must do nothing once its work is done.
+const { v4: uuidv4 } = require('uuid');
+
+// devices had code as its primary key, so a code could only hold one device.
+// Copies those rows into device_registrations and empties the old table. The old
+// registrationIds were listed by the public /api/devices, so each copy gets a new
+// one; the app re-registers with its pushToken to learn it.
+async function copyLegacyDevices(db) {
+  const { rows } = await db.query('SELECT * FROM devices');
+  if (rows.length === 0) return;
+
+  await db.transaction(async (tx) => {
+    for (const device of rows) {
+      await tx.query(
+        `INSERT INTO device_registrations (code, pushToken, registrationId, notifications_enabled, created_at, timestamp, migrated_at)
+         VALUES (@code, @pushToken, @registrationId, @notifications_enabled, @timestamp, @timestamp, ${db.dialect.now})`,
+        { ...device, registrationId: uuidv4() }
+      );
+      await tx.query('DELETE FROM devices WHERE code = @code', { code: device.code });
+    }
+  });
+  console.log(`📱 Moved ${rows.length} device(s) to device_registrations`);
+}
+
+module.exports = [copyLegacyDevices];
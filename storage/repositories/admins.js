@@ -0,0 +1,67 @@
+// admin_users: dashboard accounts with an "editor" or "owner" role
+const PUBLIC_COLUMNS = 'id, username, role, created_at, last_login_at';
+
+module.exports = function createAdminsRepository(db) {
+  return {
+    async list() {
+      const { rows } = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM admin_users ORDER BY created_at`);
+      return rows;
+    },
+
+    async count() {
+      const { rows } = await db.query('SELECT COUNT(*) AS total FROM admin_users');
+      return rows[0].total;
+    },
+
+    async findById(id) {
+      const { rows } = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE id = @id`, { id });
+      return rows[0] || null;
+    },
+
+    // Includes password_hash, for login only
+    async findByUsername(username) {
+      const { rows } = await db.query('SELECT * FROM admin_users WHERE username = @username', { username });
+      return rows[0] || null;
+    },
+
+    async findByApiKeyHash(api_key_hash) {
+      const { rows } = await db.query(
+        `SELECT ${PUBLIC_COLUMNS} FROM admin_users WHERE api_key_hash = @api_key_hash`,
+        { api_key_hash }
+      );
+      return rows[0] || null;
+    },
+
+    async insert({ id, username, password_hash, role }) {
+      await db.query(
+        'INSERT INTO admin_users (id, username, password_hash, role) VALUES (@id, @username, @password_hash, @role)',
+        { id, username, password_hash, role }
+      );
+    },
+
+    async update(id, { role, password_hash }) {
+      const { rowsAffected } = await db.query(
+        `UPDATE admin_users SET role = COALESCE(@role, role), password_hash = COALESCE(@password_hash, password_hash) WHERE id = @id`,
+        { id, role: role || null, password_hash: password_hash || null }
+      );
+      return rowsAffected > 0;
+    },
+
+    async setApiKeyHash(id, api_key_hash) {
+      const { rowsAffected } = await db.query(
+        'UPDATE admin_users SET api_key_hash = @api_key_hash WHERE id = @id',
+        { id, api_key_hash }
+      );
+      return rowsAffected > 0;
+    },
+
+    async touchLastLogin(id) {
+      await db.query(`UPDATE admin_users SET last_login_at = ${db.dialect.now} WHERE id = @id`, { id });
+    },
+
+    async remove(id) {
+      const { rowsAffected } = await db.query('DELETE FROM admin_users WHERE id = @id', { id });
+      return rowsAffected > 0;
+    }
+  };
+};
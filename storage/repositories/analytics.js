@@ -0,0 +1,68 @@
+// Read-only reporting queries across notifications, user_alerts, push_deliveries,
+// device_registrations and valid_codes. from/to are Dates; to is exclusive.
+module.exports = function createAnalyticsRepository(db) {
+  const day = db.dialect.date('sent_at');
+
+  return {
+    async alertsPerDay({ from, to }) {
+      const { rows } = await db.query(
+        `SELECT ${day} AS day, alert_level, COUNT(*) AS alerts, SUM(total_recipients) AS recipients
+         FROM notifications
+         WHERE is_deleted = 0 AND sent_at >= @from AND sent_at < @to
+         GROUP BY ${day}, alert_level
+         ORDER BY ${day}, alert_level`,
+        { from, to }
+      );
+      return rows;
+    },
+
+    // Alerts without a registry player are grouped by title
+    async topPlayers({ from, to, limit }) {
+      const { rows } = await db.query(
+        `SELECT MAX(player_id) AS player_id, MAX(title) AS title, MAX(team) AS team,
+                COUNT(*) AS alerts, SUM(total_recipients) AS recipients
+         FROM notifications
+         WHERE is_deleted = 0 AND sent_at >= @from AND sent_at < @to
+         GROUP BY COALESCE(player_id, title)
+         ORDER BY COUNT(*) DESC, MAX(title) ${db.dialect.limit('@limit')}`,
+        { from, to, limit }
+      );
+      return rows;
+    },
+
+    // One row per code with its device counts, for the reach and activity reports
+    async codeDevices() {
+      const { rows } = await db.query(`
+        SELECT v.code, v.status, v.expires_at, v.plan,
+               COUNT(d.id) AS devices,
+               SUM(CASE WHEN d.pushToken IS NOT NULL AND d.notifications_enabled = 1 THEN 1 ELSE 0 END) AS reachable_devices,
+               SUM(CASE WHEN d.pushToken IS NULL THEN 1 ELSE 0 END) AS tokenless_devices,
+               MAX(COALESCE(d.last_seen_at, d.timestamp)) AS last_seen_at
+        FROM valid_codes v
+        LEFT JOIN device_registrations d ON d.code = v.code
+        GROUP BY v.code, v.status, v.expires_at, v.plan
+        ORDER BY v.code
+      `);
+      return rows;
+    },
+
+    // user_alerts stored and first-send push outcomes for alerts sent in the range
+    async deliveryTotals({ from, to }) {
+      const { rows: stored } = await db.query(
+        `SELECT COUNT(*) AS total FROM user_alerts
+         WHERE is_deleted = 0 AND sent_at >= @from AND sent_at < @to`,
+        { from, to }
+      );
+      const { rows: pushes } = await db.query(
+        `SELECT status, COUNT(*) AS total FROM push_deliveries
+         WHERE revision = 0 AND created_at >= @from AND created_at < @to
+         GROUP BY status`,
+        { from, to }
+      );
+
+      const totals = { alerts_stored: stored[0].total, sent: 0, delivered: 0, error: 0 };
+      for (const row of pushes) totals[row.status] = row.total;
+      return totals;
+    }
+  };
+};
@@ -0,0 +1,76 @@
+// audit_log: append-only; there is deliberately no update or delete here
+const { inClause, pageQuery } = require('./helpers');
+
+function fromRow({ before_json, after_json, ...row }) {
+  return {
+    ...row,
+    before: before_json ? JSON.parse(before_json) : null,
+    after: after_json ? JSON.parse(after_json) : null
+  };
+}
+
+module.exports = function createAuditRepository(db) {
+  return {
+    async insert({ actor = null, actor_type, action, target_type = null, target_id = null, ip = null, before_json = null, after_json = null }) {
+      await db.query(
+        `INSERT INTO audit_log (actor, actor_type, action, target_type, target_id, ip, before_json, after_json)
+         VALUES (@actor, @actor_type, @action, @target_type, @target_id, @ip, @before_json, @after_json)`,
+        { actor, actor_type, action, target_type, target_id, ip, before_json, after_json }
+      );
+    },
+
+    // filters: { actor, actions, target_type, target_id, from, to } from lib/audit.js.
+    // An action without a dot ("alert") matches every action of that kind.
+    // Returns { rows, total, has_more }, newest first.
+    async list({ filters = {}, limit = 50, after = null } = {}) {
+      const where = [];
+      const params = {};
+
+      if (filters.actor) {
+        where.push('actor = @actor');
+        params.actor = filters.actor;
+      }
+      if (filters.actions && filters.actions.length > 0) {
+        const exact = filters.actions.filter(action => action.includes('.'));
+        const kinds = filters.actions.filter(action => !action.includes('.'));
+        const matches = kinds.map((kind, i) => {
+          params[`kind${i}`] = `${kind}.%`;
+          return `action LIKE @kind${i}`;
+        });
+        if (exact.length > 0) {
+          const list = inClause('action', exact);
+          matches.push(`action IN (${list.sql})`);
+          Object.assign(params, list.params);
+        }
+        where.push(`(${matches.join(' OR ')})`);
+      }
+      if (filters.target_type) {
+        where.push('target_type = @target_type');
+        params.target_type = filters.target_type;
+      }
+      if (filters.target_id) {
+        where.push('target_id = @target_id');
+        params.target_id = filters.target_id;
+      }
+      if (filters.from) {
+        where.push('created_at >= @from');
+        params.from = filters.from.date;
+      }
+      if (filters.to) {
+        where.push(`created_at ${filters.to.exclusive ? '<' : '<='} @to`);
+        params.to = filters.to.date;
+      }
+
+      const page = await pageQuery(db, {
+        table: 'audit_log',
+        where: where.length > 0 ? where : ['1 = 1'],
+        params,
+        sort: 'created_at',
+        order: 'desc',
+        limit,
+        after
+      });
+      return { ...page, rows: page.rows.map(fromRow) };
+    }
+  };
+};
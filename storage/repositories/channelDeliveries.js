@@ -0,0 +1,45 @@
+// channel_deliveries: the result of every email and webhook sent for an alert
+const { inClause, deleteWhereIn, insertRows } = require('./helpers');
+
+const INSERT_COLUMNS = ['alert_id', 'user_code', 'channel', 'target', 'status', 'error', 'error_message', 'revision'];
+
+module.exports = function createChannelDeliveriesRepository(db) {
+  return {
+    async insertMany(deliveries) {
+      await insertRows(db, 'channel_deliveries', INSERT_COLUMNS, deliveries);
+    },
+
+    async listForAlert(alert_id) {
+      const { rows } = await db.query(
+        'SELECT * FROM channel_deliveries WHERE alert_id = @alert_id ORDER BY revision, channel, user_code',
+        { alert_id }
+      );
+      return rows;
+    },
+
+    // { [alert_id]: { [channel]: { sent, error } } } for the original send of each alert
+    async summarize(alertIds) {
+      const summary = {};
+      if (alertIds.length === 0) return summary;
+
+      const ids = inClause('alert_id', alertIds);
+      const { rows } = await db.query(
+        `SELECT alert_id, channel, status, COUNT(*) AS total FROM channel_deliveries
+         WHERE alert_id IN (${ids.sql}) AND revision = 0
+         GROUP BY alert_id, channel, status`,
+        ids.params
+      );
+
+      for (const row of rows) {
+        summary[row.alert_id] = summary[row.alert_id] || {};
+        summary[row.alert_id][row.channel] = summary[row.alert_id][row.channel] || { sent: 0, error: 0 };
+        summary[row.alert_id][row.channel][row.status] = row.total;
+      }
+      return summary;
+    },
+
+    async removeForAlerts(alertIds) {
+      return deleteWhereIn(db, 'channel_deliveries', 'alert_id', alertIds);
+    }
+  };
+};
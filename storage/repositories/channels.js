@@ -0,0 +1,63 @@
+// user_channels: the email address and webhook a code holder has set up
+const { inClause, selectInChunks } = require('./helpers');
+
+module.exports = function createChannelsRepository(db) {
+  return {
+    async listForCode(user_code) {
+      const { rows } = await db.query(
+        'SELECT * FROM user_channels WHERE user_code = @user_code ORDER BY channel',
+        { user_code }
+      );
+      return rows;
+    },
+
+    // Enabled channels only, for the alert fan-out
+    async listEnabledForCodes(user_codes) {
+      return selectInChunks(user_codes, async (chunk) => {
+        const list = inClause('user_code', chunk);
+        const { rows } = await db.query(
+          `SELECT * FROM user_channels WHERE is_enabled = 1 AND user_code IN (${list.sql})`,
+          list.params
+        );
+        return rows;
+      });
+    },
+
+    async find(user_code, channel) {
+      const { rows } = await db.query(
+        'SELECT * FROM user_channels WHERE user_code = @user_code AND channel = @channel',
+        { user_code, channel }
+      );
+      return rows[0] || null;
+    },
+
+    async upsert({ user_code, channel, target, format = null, secret = null, is_enabled = 1 }) {
+      const params = { user_code, channel, target, format, secret, is_enabled };
+      const { rowsAffected } = await db.query(
+        `UPDATE user_channels
+         SET target = @target, format = @format, secret = @secret, is_enabled = @is_enabled, updated_at = ${db.dialect.now}
+         WHERE user_code = @user_code AND channel = @channel`,
+        params
+      );
+      if (rowsAffected === 0) {
+        await db.query(
+          `INSERT INTO user_channels (user_code, channel, target, format, secret, is_enabled)
+           VALUES (@user_code, @channel, @target, @format, @secret, @is_enabled)`,
+          params
+        );
+      }
+    },
+
+    async remove(user_code, channel) {
+      const { rowsAffected } = await db.query(
+        'DELETE FROM user_channels WHERE user_code = @user_code AND channel = @channel',
+        { user_code, channel }
+      );
+      return rowsAffected > 0;
+    },
+
+    async removeForUser(user_code) {
+      await db.query('DELETE FROM user_channels WHERE user_code = @user_code', { user_code });
+    }
+  };
+};
@@ -0,0 +1,113 @@
+// valid_codes: subscription codes that may register a device
+const { MAX_PARAMS_PER_QUERY, inClause, selectInChunks, insertRows } = require('./helpers');
+
+const CODE_FIELDS = ['league_count', 'device_limit', 'status', 'expires_at', 'plan', 'owner_email', 'note'];
+// What a multi-row insert writes for fields a row leaves out (the column defaults)
+const CODE_DEFAULTS = { league_count: 1, device_limit: null, status: 'active', expires_at: null, plan: null, owner_email: null, note: null };
+
+module.exports = function createCodesRepository(db) {
+  return {
+    async list() {
+      const { rows } = await db.query('SELECT * FROM valid_codes ORDER BY created_at DESC');
+      return rows;
+    },
+
+    async find(code) {
+      const { rows } = await db.query('SELECT * FROM valid_codes WHERE code = @code', { code });
+      return rows[0] || null;
+    },
+
+    // Every code with how many devices it has registered and when one was last seen
+    async listWithDeviceCounts() {
+      const { rows } = await db.query(
+        `SELECT v.*, COALESCE(d.device_count, 0) AS device_count, d.last_seen_at
+         FROM valid_codes v
+         LEFT JOIN (
+           SELECT code, COUNT(*) AS device_count, MAX(last_seen_at) AS last_seen_at
+           FROM device_registrations GROUP BY code
+         ) d ON d.code = v.code
+         ORDER BY v.created_at DESC, v.code`
+      );
+      return rows;
+    },
+
+    async findMany(codes) {
+      return selectInChunks(codes, async (chunk) => {
+        const list = inClause('code', chunk);
+        const { rows } = await db.query(`SELECT * FROM valid_codes WHERE code IN (${list.sql})`, list.params);
+        return rows;
+      });
+    },
+
+    // Codes whose league_count is within the inclusive bounds; a null bound is open
+    async listByLeagueCount({ min = null, max = null }) {
+      const { rows } = await db.query(
+        `SELECT code FROM valid_codes
+         WHERE (@min IS NULL OR league_count >= @min) AND (@max IS NULL OR league_count <= @max)
+         ORDER BY code`,
+        { min, max }
+      );
+      return rows.map(row => row.code);
+    },
+
+    // fields: any of CODE_FIELDS
+    async insert({ code, ...fields }) {
+      const columns = ['code', ...CODE_FIELDS.filter(key => fields[key] !== undefined)];
+      await db.query(
+        `INSERT INTO valid_codes (${columns.join(', ')}) VALUES (${columns.map(key => `@${key}`).join(', ')})`,
+        { code, ...fields }
+      );
+    },
+
+    // rows: { code, ...fields } as for insert
+    async insertMany(rows) {
+      await insertRows(db, 'valid_codes', ['code', ...CODE_FIELDS], rows.map(row => ({ ...CODE_DEFAULTS, ...row })));
+    },
+
+    // rows: { code, ...fields }, each setting only its own fields. Rows changing the
+    // same fields share UPDATE ... SET field = CASE code WHEN ... END statements.
+    async updateMany(rows) {
+      const groups = new Map();
+      for (const row of rows) {
+        const fields = CODE_FIELDS.filter(key => row[key] !== undefined);
+        if (fields.length === 0) continue;
+        const key = fields.join(',');
+        if (!groups.has(key)) groups.set(key, { fields, rows: [] });
+        groups.get(key).rows.push(row);
+      }
+
+      for (const { fields, rows: group } of groups.values()) {
+        const perQuery = Math.floor(MAX_PARAMS_PER_QUERY / (fields.length + 1));
+        for (let start = 0; start < group.length; start += perQuery) {
+          const chunk = group.slice(start, start + perQuery);
+          const params = {};
+          chunk.forEach((row, i) => {
+            params[`code_${i}`] = row.code;
+            for (const field of fields) params[`${field}_${i}`] = row[field];
+          });
+          const sets = fields.map(field =>
+            `${field} = CASE code ${chunk.map((row, i) => `WHEN @code_${i} THEN @${field}_${i}`).join(' ')} END`);
+          await db.query(
+            `UPDATE valid_codes SET ${sets.join(', ')} WHERE code IN (${chunk.map((row, i) => `@code_${i}`).join(', ')})`,
+            params
+          );
+        }
+      }
+    },
+
+    // Returns false if the code does not exist
+    async update(code, fields) {
+      const sets = CODE_FIELDS.filter(key => fields[key] !== undefined).map(key => `${key} = @${key}`);
+      const { rowsAffected } = await db.query(
+        `UPDATE valid_codes SET ${sets.join(', ')} WHERE code = @code`,
+        { code, ...fields }
+      );
+      return rowsAffected > 0;
+    },
+
+    async remove(code) {
+      const { rowsAffected } = await db.query('DELETE FROM valid_codes WHERE code = @code', { code });
+      return rowsAffected > 0;
+    }
+  };
+};
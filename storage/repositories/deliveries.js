@@ -0,0 +1,63 @@
+// push_deliveries: Expo push tickets and receipts for each alert recipient
+const { inClause, deleteWhereIn, insertRows } = require('./helpers');
+
+const INSERT_COLUMNS = ['alert_id', 'user_code', 'push_token', 'ticket_id', 'status', 'error', 'error_message', 'revision'];
+
+module.exports = function createDeliveriesRepository(db) {
+  return {
+    async insertMany(deliveries) {
+      await insertRows(db, 'push_deliveries', INSERT_COLUMNS, deliveries);
+    },
+
+    // Tickets that were accepted by Expo before `before` and have no receipt yet
+    async listAwaitingReceipt(before, limit = 1000) {
+      const { rows } = await db.query(
+        `SELECT * FROM push_deliveries
+         WHERE status = 'sent' AND ticket_id IS NOT NULL AND created_at <= @before
+         ORDER BY created_at ${db.dialect.limit('@limit')}`,
+        { before, limit }
+      );
+      return rows;
+    },
+
+    async markReceipt(ticket_id, { status, error = null, error_message = null }) {
+      await db.query(
+        `UPDATE push_deliveries SET status = @status, error = @error, error_message = @error_message, checked_at = ${db.dialect.now}
+         WHERE ticket_id = @ticket_id`,
+        { ticket_id, status, error, error_message }
+      );
+    },
+
+    async listForAlert(alert_id) {
+      const { rows } = await db.query(
+        'SELECT * FROM push_deliveries WHERE alert_id = @alert_id ORDER BY revision, user_code',
+        { alert_id }
+      );
+      return rows;
+    },
+
+    // { [alert_id]: { sent, delivered, error } } for the original send of each alert
+    async summarize(alertIds) {
+      const summary = {};
+      if (alertIds.length === 0) return summary;
+
+      const ids = inClause('alert_id', alertIds);
+      const { rows } = await db.query(
+        `SELECT alert_id, status, COUNT(*) AS total FROM push_deliveries
+         WHERE alert_id IN (${ids.sql}) AND revision = 0
+         GROUP BY alert_id, status`,
+        ids.params
+      );
+
+      for (const row of rows) {
+        summary[row.alert_id] = summary[row.alert_id] || { sent: 0, delivered: 0, error: 0 };
+        summary[row.alert_id][row.status] = row.total;
+      }
+      return summary;
+    },
+
+    async removeForAlerts(alertIds) {
+      return deleteWhereIn(db, 'push_deliveries', 'alert_id', alertIds);
+    }
+  };
+};
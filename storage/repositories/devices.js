@@ -0,0 +1,113 @@
+// device_registrations: every device registered against a code
+const { inClause, selectInChunks } = require('./helpers');
+
+module.exports = function createDevicesRepository(db) {
+  return {
+    async listWithCodes() {
+      const { rows } = await db.query(`
+        SELECT d.*, v.league_count, v.device_limit, v.status AS code_status, v.expires_at
+        FROM device_registrations d
+        LEFT JOIN valid_codes v ON d.code = v.code
+        ORDER BY d.timestamp DESC
+      `);
+      return rows;
+    },
+
+    async listForCode(code) {
+      const { rows } = await db.query(
+        'SELECT * FROM device_registrations WHERE code = @code ORDER BY created_at',
+        { code }
+      );
+      return rows;
+    },
+
+    async listForCodes(codes) {
+      return selectInChunks(codes, async (chunk) => {
+        const list = inClause('code', chunk);
+        const { rows } = await db.query(
+          `SELECT * FROM device_registrations WHERE code IN (${list.sql}) ORDER BY created_at`,
+          list.params
+        );
+        return rows;
+      });
+    },
+
+    async countForCode(code) {
+      const { rows } = await db.query('SELECT COUNT(*) AS total FROM device_registrations WHERE code = @code', { code });
+      return rows[0].total;
+    },
+
+    async findByRegistrationId(registrationId) {
+      const { rows } = await db.query(
+        'SELECT * FROM device_registrations WHERE registrationId = @registrationId',
+        { registrationId }
+      );
+      return rows[0] || null;
+    },
+
+    async findByCodeAndToken(code, pushToken) {
+      const { rows } = await db.query(
+        'SELECT * FROM device_registrations WHERE code = @code AND pushToken = @pushToken',
+        { code, pushToken }
+      );
+      return rows[0] || null;
+    },
+
+    async insert({ code, pushToken, registrationId, device_name = null }) {
+      await db.query(
+        `INSERT INTO device_registrations (code, pushToken, registrationId, device_name)
+         VALUES (@code, @pushToken, @registrationId, @device_name)`,
+        { code, pushToken, registrationId, device_name }
+      );
+    },
+
+    // Re-registration of a known device: new token and/or a rotated registrationId
+    // A migrated device has now learned its new registrationId, so migrated_at is cleared
+    async updateRegistration(id, { pushToken, registrationId, device_name }) {
+      await db.query(
+        `UPDATE device_registrations
+         SET pushToken = @pushToken, registrationId = @registrationId,
+             device_name = COALESCE(@device_name, device_name), timestamp = ${db.dialect.now}, migrated_at = NULL
+         WHERE id = @id`,
+        { id, pushToken, registrationId, device_name }
+      );
+    },
+
+    async touch(id) {
+      await db.query(`UPDATE device_registrations SET last_seen_at = ${db.dialect.now} WHERE id = @id`, { id });
+    },
+
+    // Used when Expo reports DeviceNotRegistered for a token
+    async clearPushToken(pushToken) {
+      const { rowsAffected } = await db.query(
+        'UPDATE device_registrations SET pushToken = NULL WHERE pushToken = @pushToken',
+        { pushToken }
+      );
+      return rowsAffected;
+    },
+
+    // Every device of the code, or only device id when given
+    async setNotificationsEnabled(code, enabled, id = null) {
+      const { rowsAffected } = await db.query(
+        'UPDATE device_registrations SET notifications_enabled = @enabled WHERE code = @code AND (@id IS NULL OR id = @id)',
+        { code, id, enabled: enabled ? 1 : 0 }
+      );
+      return rowsAffected > 0;
+    },
+
+    // Revokes a device; its registrationId stops working immediately
+    async remove(code, id) {
+      const { rowsAffected } = await db.query(
+        'DELETE FROM device_registrations WHERE id = @id AND code = @code',
+        { id, code }
+      );
+      return rowsAffected > 0;
+    },
+
+    // Every device of a deleted code; returns the number removed
+    async removeForCode(code) {
+      const { rowsAffected } = await db.query('DELETE FROM device_registrations WHERE code = @code', { code });
+      return rowsAffected;
+    }
+  };
+};
@@ -0,0 +1,52 @@
+// alert_drafts: the review queue of alerts drafted from injury feed changes
+
+module.exports = function createDraftsRepository(db) {
+  async function setState(id, fromState, toState, extra = {}) {
+    const sets = Object.keys(extra).map(key => `${key} = @${key}`);
+    const { rowsAffected } = await db.query(
+      `UPDATE alert_drafts SET state = @toState, ${[...sets, `updated_at = ${db.dialect.now}`].join(', ')}
+       WHERE id = @id AND state = @fromState`,
+      { id, fromState, toState, ...extra }
+    );
+    return rowsAffected > 0;
+  }
+
+  return {
+    async insert({ id, player_key, player_id = null, title, team = null, status, previous_status = null, alert_level, details = '', source }) {
+      await db.query(
+        `INSERT INTO alert_drafts (id, player_key, player_id, title, team, status, previous_status, alert_level, details, source)
+         VALUES (@id, @player_key, @player_id, @title, @team, @status, @previous_status, @alert_level, @details, @source)`,
+        { id, player_key, player_id, title, team, status, previous_status, alert_level, details, source }
+      );
+    },
+
+    async findById(id) {
+      const { rows } = await db.query('SELECT * FROM alert_drafts WHERE id = @id', { id });
+      return rows[0] || null;
+    },
+
+    async list({ state = 'pending', limit = 100 } = {}) {
+      const { rows } = await db.query(
+        `SELECT * FROM alert_drafts WHERE state = @state ORDER BY created_at DESC ${db.dialect.limit('@limit')}`,
+        { state, limit }
+      );
+      return rows;
+    },
+
+    // A newer report for the same player replaces its older pending drafts
+    async supersede(player_key) {
+      const { rowsAffected } = await db.query(
+        `UPDATE alert_drafts SET state = 'superseded', updated_at = ${db.dialect.now}
+         WHERE player_key = @player_key AND state = 'pending'`,
+        { player_key }
+      );
+      return rowsAffected;
+    },
+
+    // Moves a pending draft to "sending"; false if it was already reviewed
+    claim: (id, reviewed_by) => setState(id, 'pending', 'sending', { reviewed_by, reviewed_at: new Date() }),
+    markSent: (id, alert_id) => setState(id, 'sending', 'sent', { alert_id }),
+    markFailed: (id, error) => setState(id, 'sending', 'failed', { error }),
+    reject: (id, reviewed_by) => setState(id, 'pending', 'rejected', { reviewed_by, reviewed_at: new Date() })
+  };
+};
@@ -0,0 +1,52 @@
+// recipient_groups: named sets of codes, or league_count rules resolved at send time
+const GROUP_FIELDS = ['name', 'codes', 'min_league_count', 'max_league_count'];
+
+function fromRow(row) {
+  return row && { ...row, codes: row.codes === null ? null : JSON.parse(row.codes) };
+}
+
+function toParams(fields) {
+  return fields.codes ? { ...fields, codes: JSON.stringify(fields.codes) } : fields;
+}
+
+module.exports = function createGroupsRepository(db) {
+  return {
+    async list() {
+      const { rows } = await db.query('SELECT * FROM recipient_groups ORDER BY name');
+      return rows.map(fromRow);
+    },
+
+    async find(id) {
+      const { rows } = await db.query('SELECT * FROM recipient_groups WHERE id = @id', { id });
+      return fromRow(rows[0]);
+    },
+
+    async findByName(name) {
+      const { rows } = await db.query('SELECT * FROM recipient_groups WHERE name = @name', { name });
+      return fromRow(rows[0]);
+    },
+
+    async insert({ id, name, codes = null, min_league_count = null, max_league_count = null, created_by }) {
+      await db.query(
+        `INSERT INTO recipient_groups (id, name, codes, min_league_count, max_league_count, created_by)
+         VALUES (@id, @name, @codes, @min_league_count, @max_league_count, @created_by)`,
+        toParams({ id, name, codes, min_league_count, max_league_count, created_by })
+      );
+    },
+
+    // Returns false if the group does not exist
+    async update(id, fields) {
+      const sets = GROUP_FIELDS.filter(key => fields[key] !== undefined).map(key => `${key} = @${key}`);
+      const { rowsAffected } = await db.query(
+        `UPDATE recipient_groups SET ${[...sets, `updated_at = ${db.dialect.now}`].join(', ')} WHERE id = @id`,
+        toParams({ id, ...fields })
+      );
+      return rowsAffected > 0;
+    },
+
+    async remove(id) {
+      const { rowsAffected } = await db.query('DELETE FROM recipient_groups WHERE id = @id', { id });
+      return rowsAffected > 0;
+    }
+  };
+};
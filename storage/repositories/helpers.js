@@ -0,0 +1,124 @@
+// Shared query-building helpers for repositories
+
+// SQL Server accepts 2100 parameters per request and 1000 rows per VALUES list
+const MAX_PARAMS_PER_QUERY = 2000;
+const MAX_ROWS_PER_INSERT = 1000;
+
+// Expands a list into numbered parameters for an IN (...) clause:
+// inClause('code', ['A', 'B']) -> { sql: '@code0, @code1', params: { code0: 'A', code1: 'B' } }
+function inClause(name, values) {
+  const params = {};
+  const placeholders = values.map((value, i) => {
+    params[`${name}${i}`] = value;
+    return `@${name}${i}`;
+  });
+  return { sql: placeholders.join(', '), params };
+}
+
+// Runs select(chunk) for slices of values small enough for one IN (...) list and
+// concatenates the rows
+async function selectInChunks(values, select) {
+  const rows = [];
+  for (let start = 0; start < values.length; start += MAX_PARAMS_PER_QUERY) {
+    rows.push(...await select(values.slice(start, start + MAX_PARAMS_PER_QUERY)));
+  }
+  return rows;
+}
+
+// DELETE FROM table WHERE column IN (values), chunked like selectInChunks.
+// Returns the number of rows removed.
+async function deleteWhereIn(db, table, column, values) {
+  let removed = 0;
+  for (let start = 0; start < values.length; start += MAX_PARAMS_PER_QUERY) {
+    const list = inClause(column, values.slice(start, start + MAX_PARAMS_PER_QUERY));
+    const { rowsAffected } = await db.query(`DELETE FROM ${table} WHERE ${column} IN (${list.sql})`, list.params);
+    removed += rowsAffected;
+  }
+  return removed;
+}
+
+// Multi-row INSERT of rows (objects keyed by column), in as few statements as the
+// parameter limit allows
+async function insertRows(db, table, columns, rows) {
+  const perQuery = Math.min(MAX_ROWS_PER_INSERT, Math.floor(MAX_PARAMS_PER_QUERY / columns.length));
+
+  for (let start = 0; start < rows.length; start += perQuery) {
+    const params = {};
+    const values = rows.slice(start, start + perQuery).map((row, i) => {
+      const placeholders = columns.map(column => {
+        params[`${column}_${i}`] = row[column] === undefined ? null : row[column];
+        return `@${column}_${i}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    await db.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}`, params);
+  }
+}
+
+// WHERE conditions for the filters parsed by lib/pagination.js. notifications
+// and user_alerts share these columns.
+function alertFilterClauses({ player, player_id, team, statuses = [], alert_levels = [], from, to } = {}) {
+  const clauses = [];
+  const params = {};
+
+  if (player) {
+    clauses.push('title LIKE @player');
+    params.player = `%${player}%`;
+  }
+  if (player_id) {
+    clauses.push('player_id = @player_id');
+    params.player_id = player_id;
+  }
+  if (team) {
+    clauses.push('team = @team');
+    params.team = team.toUpperCase();
+  }
+  if (statuses.length > 0) {
+    // Partial matches, so "quest" still finds Questionable
+    clauses.push(`(${statuses.map((status, i) => `status LIKE @status${i}`).join(' OR ')})`);
+    statuses.forEach((status, i) => { params[`status${i}`] = `%${status}%`; });
+  }
+  if (alert_levels.length > 0) {
+    const levels = inClause('alert_level', alert_levels);
+    clauses.push(`alert_level IN (${levels.sql})`);
+    Object.assign(params, levels.params);
+  }
+  if (from) {
+    clauses.push('sent_at >= @from');
+    params.from = from.date;
+  }
+  if (to) {
+    clauses.push(`sent_at ${to.exclusive ? '<' : '<='} @to`);
+    params.to = to.date;
+  }
+
+  return { clauses, params };
+}
+
+// Keyset pagination over (sort, id). where/params select the rows; after is the
+// decoded cursor of the previous page. Returns { rows, total, has_more }.
+async function pageQuery(db, { table, where, params, sort, order, limit, after }) {
+  const whereSql = where.join(' AND ');
+
+  const { rows: countRows } = await db.query(`SELECT COUNT(*) AS total FROM ${table} WHERE ${whereSql}`, params);
+
+  const pageWhere = [...where];
+  const pageParams = { ...params, limit: limit + 1 };
+  if (after) {
+    const op = order === 'asc' ? '>' : '<';
+    pageWhere.push(`(${sort} ${op} @cursor_value OR (${sort} = @cursor_value AND id ${op} @cursor_id))`);
+    pageParams.cursor_value = after.value;
+    pageParams.cursor_id = after.id;
+  }
+
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const { rows } = await db.query(
+    `SELECT * FROM ${table} WHERE ${pageWhere.join(' AND ')}
+     ORDER BY ${sort} ${direction}, id ${direction} ${db.dialect.limit('@limit')}`,
+    pageParams
+  );
+
+  return { rows: rows.slice(0, limit), total: countRows[0].total, has_more: rows.length > limit };
+}
+
+module.exports = { MAX_PARAMS_PER_QUERY, inClause, selectInChunks, deleteWhereIn, insertRows, alertFilterClauses, pageQuery };
@@ -0,0 +1,27 @@
+// injury_reports: the last status the feed reported per player
+module.exports = function createInjuryReportsRepository(db) {
+  return {
+    async find(player_key) {
+      const { rows } = await db.query('SELECT * FROM injury_reports WHERE player_key = @player_key', { player_key });
+      return rows[0] || null;
+    },
+
+    async upsert({ player_key, player_id = null, name, team = null, status, raw_status, details = null, source, reported_at }) {
+      const params = { player_key, player_id, name, team, status, raw_status, details, source, reported_at };
+      const { rowsAffected } = await db.query(
+        `UPDATE injury_reports
+         SET player_id = @player_id, name = @name, team = @team, status = @status, raw_status = @raw_status,
+             details = @details, source = @source, reported_at = @reported_at, updated_at = ${db.dialect.now}
+         WHERE player_key = @player_key`,
+        params
+      );
+      if (rowsAffected === 0) {
+        await db.query(
+          `INSERT INTO injury_reports (player_key, player_id, name, team, status, raw_status, details, source, reported_at)
+           VALUES (@player_key, @player_id, @name, @team, @status, @raw_status, @details, @source, @reported_at)`,
+          params
+        );
+      }
+    }
+  };
+};
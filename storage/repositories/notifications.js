@@ -0,0 +1,100 @@
+// notifications: one row per alert sent, used for the dashboard history
+const { deleteWhereIn, alertFilterClauses, pageQuery } = require('./helpers');
+
+const EDITABLE_FIELDS = ['title', 'status', 'status_color', 'alert_level', 'details', 'player_id', 'team'];
+
+module.exports = function createNotificationsRepository(db) {
+  return {
+    async insert({ player_id = null, team = null, ...notification }) {
+      await db.query(
+        `INSERT INTO notifications (alert_id, title, status, status_color, alert_level, details, total_recipients, player_id, team)
+         VALUES (@alert_id, @title, @status, @status_color, @alert_level, @details, @total_recipients, @player_id, @team)`,
+        { ...notification, player_id, team }
+      );
+    },
+
+    async findByAlertId(alert_id) {
+      const { rows } = await db.query('SELECT * FROM notifications WHERE alert_id = @alert_id', { alert_id });
+      return rows[0] || null;
+    },
+
+    // Dashboard history and search. options: { filters, sort, order, limit, after }
+    // from lib/pagination.js; deleted: true lists the trash instead.
+    // Returns { rows, total, has_more }.
+    async list({ filters, sort = 'sent_at', order = 'desc', limit = 50, after = null, deleted = false } = {}) {
+      const { clauses, params } = alertFilterClauses(filters);
+      return pageQuery(db, {
+        table: 'notifications',
+        where: [`is_deleted = ${deleted ? 1 : 0}`, ...clauses],
+        params,
+        sort, order, limit, after
+      });
+    },
+
+    // Alerts sent since the given time about the same registry player or with the same title
+    async listRecent({ player_id = null, title, since }) {
+      const { rows } = await db.query(
+        `SELECT * FROM notifications
+         WHERE is_deleted = 0 AND sent_at >= @since AND (player_id = @player_id OR LOWER(title) = LOWER(@title))
+         ORDER BY sent_at DESC`,
+        { player_id, title, since }
+      );
+      return rows;
+    },
+
+    // Sets only the EDITABLE_FIELDS present in fields, so a null clears the column
+    async update(alert_id, fields) {
+      const params = { alert_id };
+      const sets = [];
+      for (const key of EDITABLE_FIELDS) {
+        if (fields[key] === undefined) continue;
+        params[key] = fields[key];
+        sets.push(`${key} = @${key}`);
+      }
+      if (sets.length === 0) return 0;
+
+      const { rowsAffected } = await db.query(
+        `UPDATE notifications SET ${sets.join(', ')}, updated_at = ${db.dialect.now} WHERE alert_id = @alert_id`,
+        params
+      );
+      return rowsAffected;
+    },
+
+    async softDelete(alert_id, deleted_by = null) {
+      const { rowsAffected } = await db.query(
+        `UPDATE notifications SET is_deleted = 1, deleted_at = ${db.dialect.now}, deleted_by = @deleted_by
+         WHERE alert_id = @alert_id AND is_deleted = 0`,
+        { alert_id, deleted_by }
+      );
+      return rowsAffected;
+    },
+
+    // Returns 0 unless the alert was in the trash
+    async restore(alert_id) {
+      const { rowsAffected } = await db.query(
+        `UPDATE notifications SET is_deleted = 0, deleted_at = NULL, deleted_by = NULL
+         WHERE alert_id = @alert_id AND is_deleted = 1`,
+        { alert_id }
+      );
+      return rowsAffected;
+    },
+
+    // Alert ids due for purging: trashed before deletedBefore (any trashed alert
+    // when it is null), or sent before sentBefore, if given, whether trashed or not.
+    // Rows trashed before deleted_at existed count from their last update.
+    async listPurgeable({ deletedBefore = null, sentBefore = null, limit = 500 }) {
+      const { rows } = await db.query(
+        `SELECT alert_id FROM notifications
+         WHERE (is_deleted = 1 AND (@deletedBefore IS NULL OR COALESCE(deleted_at, updated_at) < @deletedBefore))
+            OR (@sentBefore IS NOT NULL AND sent_at < @sentBefore)
+         ORDER BY sent_at ${db.dialect.limit('@limit')}`,
+        { deletedBefore, sentBefore, limit }
+      );
+      return rows.map(row => row.alert_id);
+    },
+
+    async removeMany(alertIds) {
+      return deleteWhereIn(db, 'notifications', 'alert_id', alertIds);
+    }
+  };
+};
@@ -0,0 +1,74 @@
+// players: the player registry alert titles are generated from
+const EDITABLE_FIELDS = ['name', 'team', 'positions', 'external_id', 'is_active'];
+
+module.exports = function createPlayersRepository(db) {
+  return {
+    // q matches anywhere in the name, for the dashboard autocomplete
+    async list({ q, team, includeInactive = false, limit = 50 } = {}) {
+      let query = 'SELECT * FROM players WHERE 1 = 1';
+      const params = { limit };
+
+      if (!includeInactive) query += ' AND is_active = 1';
+      if (q) {
+        query += ' AND LOWER(name) LIKE @q';
+        params.q = `%${q.toLowerCase()}%`;
+      }
+      if (team) {
+        query += ' AND team = @team';
+        params.team = team;
+      }
+
+      query += ` ORDER BY name ${db.dialect.limit('@limit')}`;
+      const { rows } = await db.query(query, params);
+      return rows;
+    },
+
+    async findById(id) {
+      const { rows } = await db.query('SELECT * FROM players WHERE id = @id', { id });
+      return rows[0] || null;
+    },
+
+    async findByExternalId(external_id) {
+      const { rows } = await db.query('SELECT * FROM players WHERE external_id = @external_id', { external_id });
+      return rows[0] || null;
+    },
+
+    // Case-insensitive exact name match; there can be more than one
+    async findByName(name) {
+      const { rows } = await db.query('SELECT * FROM players WHERE LOWER(name) = LOWER(@name)', { name });
+      return rows;
+    },
+
+    async countForTeam(team) {
+      const { rows } = await db.query('SELECT COUNT(*) AS total FROM players WHERE team = @team', { team });
+      return rows[0].total;
+    },
+
+    async insert({ id, name, team, positions = '', external_id = null }) {
+      await db.query(
+        'INSERT INTO players (id, name, team, positions, external_id) VALUES (@id, @name, @team, @positions, @external_id)',
+        { id, name, team, positions, external_id }
+      );
+    },
+
+    async update(id, fields) {
+      const params = { id };
+      const sets = [];
+      for (const key of EDITABLE_FIELDS) {
+        if (fields[key] === undefined) continue;
+        params[key] = fields[key];
+        sets.push(`${key} = @${key}`);
+      }
+      if (sets.length === 0) {
+        const { rows } = await db.query('SELECT id FROM players WHERE id = @id', { id });
+        return rows.length > 0;
+      }
+
+      const { rowsAffected } = await db.query(
+        `UPDATE players SET ${sets.join(', ')}, updated_at = ${db.dialect.now} WHERE id = @id`,
+        params
+      );
+      return rowsAffected > 0;
+    }
+  };
+};
@@ -0,0 +1,61 @@
+// notification_preferences: the push filters a code holder has set
+const { inClause, selectInChunks } = require('./helpers');
+
+function fromRow(row) {
+  return row && {
+    ...row,
+    status_allow: JSON.parse(row.status_allow || '[]'),
+    status_deny: JSON.parse(row.status_deny || '[]')
+  };
+}
+
+module.exports = function createPreferencesRepository(db) {
+  return {
+    async find(user_code) {
+      const { rows } = await db.query('SELECT * FROM notification_preferences WHERE user_code = @user_code', { user_code });
+      return fromRow(rows[0]);
+    },
+
+    async findMany(user_codes) {
+      const rows = await selectInChunks(user_codes, async (chunk) => {
+        const list = inClause('user_code', chunk);
+        const { rows } = await db.query(
+          `SELECT * FROM notification_preferences WHERE user_code IN (${list.sql})`,
+          list.params
+        );
+        return rows;
+      });
+      return rows.map(fromRow);
+    },
+
+    async upsert({ user_code, min_alert_level, status_allow, status_deny, quiet_start, quiet_end, time_zone }) {
+      const params = {
+        user_code,
+        min_alert_level,
+        status_allow: JSON.stringify(status_allow),
+        status_deny: JSON.stringify(status_deny),
+        quiet_start,
+        quiet_end,
+        time_zone
+      };
+      const { rowsAffected } = await db.query(
+        `UPDATE notification_preferences
+         SET min_alert_level = @min_alert_level, status_allow = @status_allow, status_deny = @status_deny,
+             quiet_start = @quiet_start, quiet_end = @quiet_end, time_zone = @time_zone, updated_at = ${db.dialect.now}
+         WHERE user_code = @user_code`,
+        params
+      );
+      if (rowsAffected === 0) {
+        await db.query(
+          `INSERT INTO notification_preferences (user_code, min_alert_level, status_allow, status_deny, quiet_start, quiet_end, time_zone)
+           VALUES (@user_code, @min_alert_level, @status_allow, @status_deny, @quiet_start, @quiet_end, @time_zone)`,
+          params
+        );
+      }
+    },
+
+    async remove(user_code) {
+      await db.query('DELETE FROM notification_preferences WHERE user_code = @user_code', { user_code });
+    }
+  };
+};
@@ -0,0 +1,58 @@
+// alert_revisions: the edit history of each alert
+const { deleteWhereIn } = require('./helpers');
+
+const TRACKED_FIELDS = ['title', 'status', 'alert_level', 'details'];
+
+// Adds { changes: [{ field, from, to }] } to each revision, relative to the one before it
+function withChanges(revisions) {
+  return revisions.map((revision, i) => {
+    const previous = revisions[i - 1];
+    const changes = previous
+      ? TRACKED_FIELDS
+        .filter(field => (previous[field] || '') !== (revision[field] || ''))
+        .map(field => ({ field, from: previous[field], to: revision[field] }))
+      : [];
+    return { ...revision, changes };
+  });
+}
+
+module.exports = function createRevisionsRepository(db) {
+  return {
+    async insert({ alert_id, revision, title, status, status_color, alert_level, details, edited_by = null, notified_count = 0, created_at }) {
+      const params = { alert_id, revision, title, status, status_color, alert_level, details, edited_by, notified_count };
+      if (created_at) params.created_at = created_at;
+      await db.query(
+        `INSERT INTO alert_revisions (alert_id, revision, title, status, status_color, alert_level, details, edited_by, notified_count, created_at)
+         VALUES (@alert_id, @revision, @title, @status, @status_color, @alert_level, @details, @edited_by, @notified_count, ${created_at ? '@created_at' : db.dialect.now})`,
+        params
+      );
+    },
+
+    async latestRevision(alert_id) {
+      const { rows } = await db.query(
+        'SELECT MAX(revision) AS revision FROM alert_revisions WHERE alert_id = @alert_id',
+        { alert_id }
+      );
+      return rows[0].revision === null ? null : rows[0].revision;
+    },
+
+    async setNotifiedCount(alert_id, revision, notified_count) {
+      await db.query(
+        'UPDATE alert_revisions SET notified_count = @notified_count WHERE alert_id = @alert_id AND revision = @revision',
+        { alert_id, revision, notified_count }
+      );
+    },
+
+    async listForAlert(alert_id) {
+      const { rows } = await db.query(
+        'SELECT * FROM alert_revisions WHERE alert_id = @alert_id ORDER BY revision',
+        { alert_id }
+      );
+      return withChanges(rows);
+    },
+
+    async removeForAlerts(alertIds) {
+      return deleteWhereIn(db, 'alert_revisions', 'alert_id', alertIds);
+    }
+  };
+};
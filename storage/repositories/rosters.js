@@ -0,0 +1,46 @@
+// roster_entries: fantasy rosters per code and league, used to target alerts
+module.exports = function createRostersRepository(db) {
+  return {
+    async listForUser(code) {
+      const { rows } = await db.query(
+        `SELECT r.league_number, p.id AS player_id, p.name, p.team, p.positions
+         FROM roster_entries r
+         JOIN players p ON p.id = r.player_id
+         WHERE r.user_code = @code
+         ORDER BY r.league_number, p.name`,
+        { code }
+      );
+      return rows;
+    },
+
+    async replaceLeague(code, league_number, player_ids) {
+      await db.query(
+        'DELETE FROM roster_entries WHERE user_code = @code AND league_number = @league_number',
+        { code, league_number }
+      );
+      for (const player_id of new Set(player_ids)) {
+        await db.query(
+          'INSERT INTO roster_entries (user_code, league_number, player_id) VALUES (@code, @league_number, @player_id)',
+          { code, league_number, player_id }
+        );
+      }
+    },
+
+    async removeForUser(code) {
+      await db.query('DELETE FROM roster_entries WHERE user_code = @code', { code });
+    },
+
+    // Every code rostering the player, with the number of its leagues affected
+    async findOwners(player_id) {
+      const { rows } = await db.query(
+        `SELECT user_code, COUNT(DISTINCT league_number) AS teams_affected
+         FROM roster_entries
+         WHERE player_id = @player_id
+         GROUP BY user_code
+         ORDER BY user_code`,
+        { player_id }
+      );
+      return rows;
+    }
+  };
+};
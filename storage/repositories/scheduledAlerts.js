@@ -0,0 +1,84 @@
+// scheduled_alerts: the persistent queue of alerts waiting for their send_at time
+const EDITABLE_FIELDS = ['title', 'status', 'status_color', 'alert_level', 'details', 'users', 'player_id', 'team', 'send_at'];
+
+function fromRow(row) {
+  return row && { ...row, users: JSON.parse(row.users || '[]') };
+}
+
+module.exports = function createScheduledAlertsRepository(db) {
+  async function setState(id, fromState, toState, extra = {}) {
+    const sets = Object.keys(extra).map(key => `${key} = @${key}`);
+    const { rowsAffected } = await db.query(
+      `UPDATE scheduled_alerts SET state = @toState, ${[...sets, `updated_at = ${db.dialect.now}`].join(', ')}
+       WHERE id = @id AND state = @fromState`,
+      { id, fromState, toState, ...extra }
+    );
+    return rowsAffected > 0;
+  }
+
+  return {
+    async insert({ id, title, status, status_color, alert_level, details, users, player_id = null, team = null, send_at, created_by }) {
+      await db.query(
+        `INSERT INTO scheduled_alerts (id, title, status, status_color, alert_level, details, users, player_id, team, send_at, created_by)
+         VALUES (@id, @title, @status, @status_color, @alert_level, @details, @users, @player_id, @team, @send_at, @created_by)`,
+        { id, title, status, status_color, alert_level, details, users: JSON.stringify(users), player_id, team, send_at, created_by }
+      );
+    },
+
+    async findById(id) {
+      const { rows } = await db.query('SELECT * FROM scheduled_alerts WHERE id = @id', { id });
+      return fromRow(rows[0]);
+    },
+
+    async list({ state } = {}) {
+      const { rows } = state
+        ? await db.query('SELECT * FROM scheduled_alerts WHERE state = @state ORDER BY send_at', { state })
+        : await db.query('SELECT * FROM scheduled_alerts ORDER BY send_at DESC');
+      return rows.map(fromRow);
+    },
+
+    async listDue(now, limit = 20) {
+      const { rows } = await db.query(
+        `SELECT * FROM scheduled_alerts WHERE state = 'pending' AND send_at <= @now ORDER BY send_at ${db.dialect.limit('@limit')}`,
+        { now, limit }
+      );
+      return rows.map(fromRow);
+    },
+
+    // Only pending alerts can be edited; returns false otherwise
+    async update(id, fields) {
+      const params = { id };
+      const sets = [];
+      for (const key of EDITABLE_FIELDS) {
+        if (fields[key] === undefined) continue;
+        params[key] = key === 'users' ? JSON.stringify(fields[key]) : fields[key];
+        sets.push(`${key} = @${key}`);
+      }
+      if (sets.length === 0) {
+        const { rows } = await db.query("SELECT id FROM scheduled_alerts WHERE id = @id AND state = 'pending'", { id });
+        return rows.length > 0;
+      }
+
+      const { rowsAffected } = await db.query(
+        `UPDATE scheduled_alerts SET ${sets.join(', ')}, updated_at = ${db.dialect.now} WHERE id = @id AND state = 'pending'`,
+        params
+      );
+      return rowsAffected > 0;
+    },
+
+    // Moves a pending alert to "sending"; false if another worker already took it
+    claim: (id) => setState(id, 'pending', 'sending'),
+    markSent: (id, alert_id) => setState(id, 'sending', 'sent', { alert_id }),
+    markFailed: (id, error) => setState(id, 'sending', 'failed', { error }),
+    cancel: (id) => setState(id, 'pending', 'cancelled'),
+
+    // Alerts left in "sending" by a crash are not retried, to avoid a double send
+    async failInterrupted() {
+      const { rowsAffected } = await db.query(
+        `UPDATE scheduled_alerts SET state = 'failed', error = 'Interrupted by server restart', updated_at = ${db.dialect.now}
+         WHERE state = 'sending'`
+      );
+      return rowsAffected;
+    }
+  };
+};
@@ -0,0 +1,36 @@
+// admin_sessions: dashboard logins, keyed by a hash of the bearer token
+module.exports = function createSessionsRepository(db) {
+  return {
+    async insert({ token_hash, admin_id, expires_at }) {
+      await db.query(
+        'INSERT INTO admin_sessions (token_hash, admin_id, expires_at) VALUES (@token_hash, @admin_id, @expires_at)',
+        { token_hash, admin_id, expires_at }
+      );
+    },
+
+    // Returns the session's admin if the session exists and has not expired
+    async findAdmin(token_hash) {
+      const { rows } = await db.query(
+        `SELECT a.id, a.username, a.role, a.created_at, a.last_login_at
+         FROM admin_sessions s
+         JOIN admin_users a ON a.id = s.admin_id
+         WHERE s.token_hash = @token_hash AND s.expires_at > @now`,
+        { token_hash, now: new Date() }
+      );
+      return rows[0] || null;
+    },
+
+    async remove(token_hash) {
+      await db.query('DELETE FROM admin_sessions WHERE token_hash = @token_hash', { token_hash });
+    },
+
+    async removeForAdmin(admin_id) {
+      await db.query('DELETE FROM admin_sessions WHERE admin_id = @admin_id', { admin_id });
+    },
+
+    async removeExpired() {
+      const { rowsAffected } = await db.query('DELETE FROM admin_sessions WHERE expires_at <= @now', { now: new Date() });
+      return rowsAffected;
+    }
+  };
+};
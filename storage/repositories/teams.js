@@ -0,0 +1,34 @@
+// teams: NBA teams keyed by abbreviation (e.g. "LAL")
+module.exports = function createTeamsRepository(db) {
+  return {
+    async list() {
+      const { rows } = await db.query('SELECT * FROM teams ORDER BY abbreviation');
+      return rows;
+    },
+
+    async find(abbreviation) {
+      const { rows } = await db.query('SELECT * FROM teams WHERE abbreviation = @abbreviation', { abbreviation });
+      return rows[0] || null;
+    },
+
+    async insert({ abbreviation, name }) {
+      await db.query(
+        'INSERT INTO teams (abbreviation, name) VALUES (@abbreviation, @name)',
+        { abbreviation, name }
+      );
+    },
+
+    async update(abbreviation, { name }) {
+      const { rowsAffected } = await db.query(
+        `UPDATE teams SET name = @name, updated_at = ${db.dialect.now} WHERE abbreviation = @abbreviation`,
+        { abbreviation, name }
+      );
+      return rowsAffected > 0;
+    },
+
+    async remove(abbreviation) {
+      const { rowsAffected } = await db.query('DELETE FROM teams WHERE abbreviation = @abbreviation', { abbreviation });
+      return rowsAffected > 0;
+    }
+  };
+};
@@ -0,0 +1,44 @@
+// alert_templates: status, alert_level and details presets for the send form
+const TEMPLATE_FIELDS = ['name', 'status', 'alert_level', 'details'];
+
+module.exports = function createTemplatesRepository(db) {
+  return {
+    async list() {
+      const { rows } = await db.query('SELECT * FROM alert_templates ORDER BY name');
+      return rows;
+    },
+
+    async find(id) {
+      const { rows } = await db.query('SELECT * FROM alert_templates WHERE id = @id', { id });
+      return rows[0] || null;
+    },
+
+    async findByName(name) {
+      const { rows } = await db.query('SELECT * FROM alert_templates WHERE name = @name', { name });
+      return rows[0] || null;
+    },
+
+    async insert({ id, name, status = null, alert_level = null, details = null, created_by }) {
+      await db.query(
+        `INSERT INTO alert_templates (id, name, status, alert_level, details, created_by)
+         VALUES (@id, @name, @status, @alert_level, @details, @created_by)`,
+        { id, name, status, alert_level, details, created_by }
+      );
+    },
+
+    // Returns false if the template does not exist
+    async update(id, fields) {
+      const sets = TEMPLATE_FIELDS.filter(key => fields[key] !== undefined).map(key => `${key} = @${key}`);
+      const { rowsAffected } = await db.query(
+        `UPDATE alert_templates SET ${[...sets, `updated_at = ${db.dialect.now}`].join(', ')} WHERE id = @id`,
+        { id, ...fields }
+      );
+      return rowsAffected > 0;
+    },
+
+    async remove(id) {
+      const { rowsAffected } = await db.query('DELETE FROM alert_templates WHERE id = @id', { id });
+      return rowsAffected > 0;
+    }
+  };
+};
@@ -0,0 +1,147 @@
+// user_alerts: one row per recipient of an alert, shown in the app's inbox
+const { inClause, deleteWhereIn, insertRows, alertFilterClauses, pageQuery } = require('./helpers');
+
+const INSERT_COLUMNS = ['alert_id', 'user_code', 'title', 'status', 'status_color', 'alert_level', 'details', 'teams_affected', 'player_id', 'team'];
+const EDITABLE_FIELDS = ['title', 'status', 'status_color', 'alert_level', 'details', 'player_id', 'team'];
+
+module.exports = function createUserAlertsRepository(db) {
+  async function setInboxState(code, alert_id, assignments) {
+    const { rowsAffected } = await db.query(
+      `UPDATE user_alerts SET ${assignments}
+       WHERE user_code = @code AND alert_id = @alert_id AND is_deleted = 0 AND dismissed_at IS NULL`,
+      { code, alert_id }
+    );
+    return rowsAffected > 0;
+  }
+
+  return {
+    // One statement per few hundred rows, for the alert fan-out
+    async insertMany(alerts) {
+      await insertRows(db, 'user_alerts', INSERT_COLUMNS, alerts);
+    },
+
+    // options: { filters, sort, order, limit, after } from lib/pagination.js, and
+    // unread to leave out alerts already read; returns { rows, total, has_more }.
+    // Alerts the user dismissed are never listed.
+    async listForUser(code, { filters, sort = 'sent_at', order = 'desc', limit = 50, after = null, unread = false } = {}) {
+      const { clauses, params } = alertFilterClauses(filters);
+      if (unread) clauses.push('read_at IS NULL');
+      return pageQuery(db, {
+        table: 'user_alerts',
+        where: ['user_code = @code', 'is_deleted = 0', 'dismissed_at IS NULL', ...clauses],
+        params: { ...params, code },
+        sort, order, limit, after
+      });
+    },
+
+    async listRecipients(alert_id) {
+      const { rows } = await db.query(
+        'SELECT user_code, teams_affected FROM user_alerts WHERE alert_id = @alert_id AND is_deleted = 0',
+        { alert_id }
+      );
+      return rows;
+    },
+
+    async findForUser(code, alert_id) {
+      const { rows } = await db.query(
+        'SELECT * FROM user_alerts WHERE user_code = @code AND alert_id = @alert_id AND is_deleted = 0 AND dismissed_at IS NULL',
+        { code, alert_id }
+      );
+      return rows[0] || null;
+    },
+
+    async countUnread(code) {
+      const { rows } = await db.query(
+        `SELECT COUNT(*) AS total FROM user_alerts
+         WHERE user_code = @code AND is_deleted = 0 AND dismissed_at IS NULL AND read_at IS NULL`,
+        { code }
+      );
+      return rows[0].total;
+    },
+
+    // The setters below keep the first timestamp, so repeating one is harmless.
+    // Each returns false when the alert is not in the code's inbox.
+    async markRead(code, alert_id) {
+      return setInboxState(code, alert_id, `read_at = COALESCE(read_at, ${db.dialect.now})`);
+    },
+
+    // Acknowledging an alert also marks it read
+    async acknowledge(code, alert_id) {
+      return setInboxState(code, alert_id,
+        `acknowledged_at = COALESCE(acknowledged_at, ${db.dialect.now}), read_at = COALESCE(read_at, ${db.dialect.now})`);
+    },
+
+    async dismiss(code, alert_id) {
+      return setInboxState(code, alert_id, `dismissed_at = ${db.dialect.now}`);
+    },
+
+    // Marks every unread alert sent up to before (default: all of them) read.
+    // Returns the number marked.
+    async markAllRead(code, { before = null } = {}) {
+      const { rowsAffected } = await db.query(
+        `UPDATE user_alerts SET read_at = ${db.dialect.now}
+         WHERE user_code = @code AND is_deleted = 0 AND dismissed_at IS NULL AND read_at IS NULL
+           AND (@before IS NULL OR sent_at <= @before)`,
+        { code, before }
+      );
+      return rowsAffected;
+    },
+
+    // { [alert_id]: { recipients, read, acknowledged, dismissed } } for the dashboard history
+    async summarizeEngagement(alertIds) {
+      const summary = {};
+      if (alertIds.length === 0) return summary;
+
+      const ids = inClause('alert_id', alertIds);
+      const { rows } = await db.query(
+        `SELECT alert_id, COUNT(*) AS recipients, COUNT(read_at) AS read_count,
+           COUNT(acknowledged_at) AS acknowledged_count, COUNT(dismissed_at) AS dismissed_count
+         FROM user_alerts WHERE alert_id IN (${ids.sql})
+         GROUP BY alert_id`,
+        ids.params
+      );
+
+      for (const row of rows) {
+        summary[row.alert_id] = {
+          recipients: row.recipients,
+          read: row.read_count,
+          acknowledged: row.acknowledged_count,
+          dismissed: row.dismissed_count
+        };
+      }
+      return summary;
+    },
+
+    // Sets only the EDITABLE_FIELDS present in fields, so a null clears the column
+    async updateByAlertId(alert_id, fields) {
+      const params = { alert_id };
+      const sets = [];
+      for (const key of EDITABLE_FIELDS) {
+        if (fields[key] === undefined) continue;
+        params[key] = fields[key];
+        sets.push(`${key} = @${key}`);
+      }
+      if (sets.length === 0) return 0;
+
+      const { rowsAffected } = await db.query(
+        `UPDATE user_alerts SET ${sets.join(', ')}, updated_at = ${db.dialect.now} WHERE alert_id = @alert_id`,
+        params
+      );
+      return rowsAffected;
+    },
+
+    async softDeleteByAlertId(alert_id) {
+      const { rowsAffected } = await db.query('UPDATE user_alerts SET is_deleted = 1 WHERE alert_id = @alert_id', { alert_id });
+      return rowsAffected;
+    },
+
+    async restoreByAlertId(alert_id) {
+      const { rowsAffected } = await db.query('UPDATE user_alerts SET is_deleted = 0 WHERE alert_id = @alert_id', { alert_id });
+      return rowsAffected;
+    },
+
+    async removeByAlertIds(alertIds) {
+      return deleteWhereIn(db, 'user_alerts', 'alert_id', alertIds);
+    }
+  };
+};
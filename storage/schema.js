@@ -0,0 +1,418 @@
+// Dialect-neutral table definitions. Each adapter turns these into its own
+// DDL, creating missing tables and adding missing columns on startup.
+//
+// Column types: id (auto-increment primary key), string, text, int, bool, datetime.
+// A default of 'now' means the database's current timestamp.
+
+module.exports = {
+  valid_codes: {
+    columns: {
+      code: { type: 'string', length: 50, primaryKey: true },
+      league_count: { type: 'int', default: 1 },
+      // NULL falls back to DEFAULT_DEVICE_LIMIT
+      device_limit: { type: 'int' },
+      // active or suspended; a past expires_at also makes the code unusable
+      status: { type: 'string', length: 20, default: 'active' },
+      expires_at: { type: 'datetime' },
+      plan: { type: 'string', length: 50 },
+      owner_email: { type: 'string', length: 255 },
+      note: { type: 'text' },
+      created_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // Legacy one-device-per-code table. Rows are copied into device_registrations
+  // on startup (see migrations.js) and nothing writes here anymore.
+  devices: {
+    columns: {
+      code: { type: 'string', length: 50, primaryKey: true },
+      pushToken: { type: 'string', length: 500 },
+      registrationId: { type: 'string', length: 50 },
+      notifications_enabled: { type: 'bool', default: 1 },
+      timestamp: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  user_alerts: {
+    columns: {
+      id: { type: 'id' },
+      alert_id: { type: 'string', length: 50 },
+      user_code: { type: 'string', length: 50 },
+      title: { type: 'string', length: 500 },
+      status: { type: 'string', length: 100 },
+      status_color: { type: 'string', length: 20 },
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      teams_affected: { type: 'int', default: 0 },
+      sent_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' },
+      is_deleted: { type: 'int', default: 0 },
+      player_id: { type: 'string', length: 50 },
+      team: { type: 'string', length: 10 },
+      // The recipient's own state: opened, acknowledged, and cleared from their
+      // inbox (is_deleted is the admin delete, which hides the alert for everyone)
+      read_at: { type: 'datetime' },
+      acknowledged_at: { type: 'datetime' },
+      dismissed_at: { type: 'datetime' }
+    },
+    indexes: [
+      { name: 'ix_user_alerts_user_code', columns: ['user_code', 'sent_at'] },
+      { name: 'ix_user_alerts_unread', columns: ['user_code', 'read_at'] },
+      { name: 'ix_user_alerts_alert_id', columns: ['alert_id'] }
+    ]
+  },
+
+  notifications: {
+    columns: {
+      id: { type: 'id' },
+      alert_id: { type: 'string', length: 50, unique: true },
+      title: { type: 'string', length: 500 },
+      status: { type: 'string', length: 100 },
+      status_color: { type: 'string', length: 20 },
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      total_recipients: { type: 'int' },
+      sent_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' },
+      is_deleted: { type: 'int', default: 0 },
+      // When and by whom the alert was moved to the trash; the retention job
+      // purges it TRASH_RETENTION_DAYS later
+      deleted_at: { type: 'datetime' },
+      deleted_by: { type: 'string', length: 100 },
+      // Registry player the title was generated from, and their team at send time
+      player_id: { type: 'string', length: 50 },
+      team: { type: 'string', length: 10 }
+    },
+    indexes: [
+      { name: 'ix_notifications_sent_at', columns: ['sent_at', 'id'] },
+      { name: 'ix_notifications_player_id', columns: ['player_id'] },
+      { name: 'ix_notifications_team', columns: ['team'] },
+      { name: 'ix_notifications_is_deleted', columns: ['is_deleted', 'deleted_at'] }
+    ]
+  },
+
+  admin_users: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      username: { type: 'string', length: 100, unique: true },
+      password_hash: { type: 'string', length: 200 },
+      role: { type: 'string', length: 20 },
+      api_key_hash: { type: 'string', length: 100 },
+      created_at: { type: 'datetime', default: 'now' },
+      last_login_at: { type: 'datetime' }
+    },
+    indexes: [
+      { name: 'ix_admin_users_api_key_hash', columns: ['api_key_hash'] }
+    ]
+  },
+
+  admin_sessions: {
+    columns: {
+      token_hash: { type: 'string', length: 100, primaryKey: true },
+      admin_id: { type: 'string', length: 50 },
+      expires_at: { type: 'datetime' },
+      created_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // One row per push attempted for an alert, tracking the Expo ticket and receipt
+  push_deliveries: {
+    columns: {
+      id: { type: 'id' },
+      alert_id: { type: 'string', length: 50 },
+      user_code: { type: 'string', length: 50 },
+      push_token: { type: 'string', length: 500 },
+      ticket_id: { type: 'string', length: 100 },
+      // sent (ticket accepted, awaiting receipt), delivered or error
+      status: { type: 'string', length: 20 },
+      error: { type: 'string', length: 100 },
+      error_message: { type: 'string', length: 1000 },
+      // 0 for the original send, otherwise the alert_revisions revision it announced
+      revision: { type: 'int', default: 0 },
+      created_at: { type: 'datetime', default: 'now' },
+      checked_at: { type: 'datetime' }
+    },
+    indexes: [
+      { name: 'ix_push_deliveries_alert_id', columns: ['alert_id'] },
+      { name: 'ix_push_deliveries_status', columns: ['status', 'created_at'] },
+      { name: 'ix_push_deliveries_ticket_id', columns: ['ticket_id'] }
+    ]
+  },
+
+  // Delivery channels a code holder has set up besides push (see lib/channels)
+  user_channels: {
+    columns: {
+      id: { type: 'id' },
+      user_code: { type: 'string', length: 50 },
+      // email or webhook
+      channel: { type: 'string', length: 20 },
+      // The email address or webhook URL
+      target: { type: 'string', length: 1000 },
+      // Webhook body: json, slack or discord
+      format: { type: 'string', length: 20 },
+      // Signs webhook bodies (X-Alert-Signature) when set
+      secret: { type: 'string', length: 200 },
+      is_enabled: { type: 'int', default: 1 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_user_channels_user_code', columns: ['user_code', 'channel'], unique: true }
+    ]
+  },
+
+  // One row per email or webhook sent, like push_deliveries for push
+  channel_deliveries: {
+    columns: {
+      id: { type: 'id' },
+      alert_id: { type: 'string', length: 50 },
+      user_code: { type: 'string', length: 50 },
+      channel: { type: 'string', length: 20 },
+      target: { type: 'string', length: 1000 },
+      // sent or error
+      status: { type: 'string', length: 20 },
+      error: { type: 'string', length: 100 },
+      error_message: { type: 'string', length: 1000 },
+      // 0 for the original send, otherwise the alert_revisions revision it announced
+      revision: { type: 'int', default: 0 },
+      created_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_channel_deliveries_alert_id', columns: ['alert_id'] }
+    ]
+  },
+
+  // Alerts queued for a future send_at, dispatched by lib/scheduler.js
+  scheduled_alerts: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      title: { type: 'string', length: 500 },
+      status: { type: 'string', length: 100 },
+      status_color: { type: 'string', length: 20 },
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      // JSON array of { user_id, teams_affected }, as POST /api/alert takes
+      users: { type: 'text' },
+      player_id: { type: 'string', length: 50 },
+      team: { type: 'string', length: 10 },
+      send_at: { type: 'datetime' },
+      // pending, sending, sent, cancelled or failed
+      state: { type: 'string', length: 20, default: 'pending' },
+      alert_id: { type: 'string', length: 50 },
+      error: { type: 'string', length: 1000 },
+      created_by: { type: 'string', length: 100 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_scheduled_alerts_state_send_at', columns: ['state', 'send_at'] }
+    ]
+  },
+
+  // Every version of an alert. Revision 0 is the original send; each edit adds one.
+  alert_revisions: {
+    columns: {
+      id: { type: 'id' },
+      alert_id: { type: 'string', length: 50 },
+      revision: { type: 'int' },
+      title: { type: 'string', length: 500 },
+      status: { type: 'string', length: 100 },
+      status_color: { type: 'string', length: 20 },
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      edited_by: { type: 'string', length: 100 },
+      notified_count: { type: 'int', default: 0 },
+      created_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_alert_revisions_alert_id', columns: ['alert_id', 'revision'], unique: true }
+    ]
+  },
+
+  teams: {
+    columns: {
+      abbreviation: { type: 'string', length: 10, primaryKey: true },
+      name: { type: 'string', length: 100 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  players: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      name: { type: 'string', length: 200 },
+      team: { type: 'string', length: 10 },
+      // e.g. "SF/PF"
+      positions: { type: 'string', length: 50 },
+      // Identifier from an outside source, used to match rows on import
+      external_id: { type: 'string', length: 100 },
+      is_active: { type: 'int', default: 1 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_players_name', columns: ['name'] },
+      { name: 'ix_players_team', columns: ['team'] },
+      { name: 'ix_players_external_id', columns: ['external_id'] }
+    ]
+  },
+
+  // Which registry players a code holder owns in each of their leagues
+  roster_entries: {
+    columns: {
+      id: { type: 'id' },
+      user_code: { type: 'string', length: 50 },
+      // 1..valid_codes.league_count
+      league_number: { type: 'int' },
+      player_id: { type: 'string', length: 50 },
+      created_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_roster_entries_user_league_player', columns: ['user_code', 'league_number', 'player_id'], unique: true },
+      { name: 'ix_roster_entries_player_id', columns: ['player_id'] }
+    ]
+  },
+
+  // Per-code push filters; codes without a row get every push
+  notification_preferences: {
+    columns: {
+      user_code: { type: 'string', length: 50, primaryKey: true },
+      // Lowest alert_level that is pushed (low, medium, high, monster)
+      min_alert_level: { type: 'string', length: 20 },
+      // JSON arrays of statuses; an empty allow list allows every status
+      status_allow: { type: 'text' },
+      status_deny: { type: 'text' },
+      // "HH:MM" in time_zone; the window may wrap past midnight
+      quiet_start: { type: 'string', length: 5 },
+      quiet_end: { type: 'string', length: 5 },
+      time_zone: { type: 'string', length: 64 },
+      updated_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // Every device registered against a code; a code may have several up to its device limit
+  device_registrations: {
+    columns: {
+      id: { type: 'id' },
+      code: { type: 'string', length: 50 },
+      // Secret the app sends as X-Registration-Id; id is the public handle
+      registrationId: { type: 'string', length: 50, unique: true },
+      pushToken: { type: 'string', length: 500 },
+      device_name: { type: 'string', length: 100 },
+      notifications_enabled: { type: 'bool', default: 1 },
+      created_at: { type: 'datetime', default: 'now' },
+      timestamp: { type: 'datetime', default: 'now' },
+      // Last authenticated app request, at most hourly; feeds the dormant-codes report
+      last_seen_at: { type: 'datetime' },
+      // Set on rows copied from the legacy devices table until the app re-registers
+      migrated_at: { type: 'datetime' }
+    },
+    indexes: [
+      { name: 'ix_device_registrations_code', columns: ['code'] },
+      { name: 'ix_device_registrations_push_token', columns: ['pushToken'] }
+    ]
+  },
+
+  // Reusable alert presets; details may hold {placeholders} filled in at send time
+  alert_templates: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      name: { type: 'string', length: 100, unique: true },
+      status: { type: 'string', length: 100 },
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      created_by: { type: 'string', length: 100 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // Named recipient sets: either a fixed list of codes or a rule over valid_codes.league_count
+  recipient_groups: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      name: { type: 'string', length: 100, unique: true },
+      // JSON array of codes; null for rule groups
+      codes: { type: 'text' },
+      // Inclusive league_count bounds; either may be null
+      min_league_count: { type: 'int' },
+      max_league_count: { type: 'int' },
+      created_by: { type: 'string', length: 100 },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // Latest status the injury feed reported for each player, for change detection
+  injury_reports: {
+    columns: {
+      // player_id; for players not in the registry "external:<external_id>" or "name|TEAM"
+      player_key: { type: 'string', length: 300, primaryKey: true },
+      player_id: { type: 'string', length: 50 },
+      name: { type: 'string', length: 200 },
+      team: { type: 'string', length: 10 },
+      // One of STATUS_COLORS; raw_status is what the feed sent
+      status: { type: 'string', length: 100 },
+      raw_status: { type: 'string', length: 100 },
+      details: { type: 'text' },
+      source: { type: 'string', length: 100 },
+      reported_at: { type: 'datetime' },
+      updated_at: { type: 'datetime', default: 'now' }
+    }
+  },
+
+  // Alerts drafted from feed changes, waiting for an operator to approve or reject them
+  alert_drafts: {
+    columns: {
+      id: { type: 'string', length: 50, primaryKey: true },
+      player_key: { type: 'string', length: 300 },
+      player_id: { type: 'string', length: 50 },
+      title: { type: 'string', length: 500 },
+      team: { type: 'string', length: 10 },
+      status: { type: 'string', length: 100 },
+      previous_status: { type: 'string', length: 100 },
+      // Suggested from the status change; the operator may change it on approval
+      alert_level: { type: 'string', length: 50 },
+      details: { type: 'text' },
+      source: { type: 'string', length: 100 },
+      // pending, sending, sent, rejected, superseded or failed
+      state: { type: 'string', length: 20, default: 'pending' },
+      alert_id: { type: 'string', length: 50 },
+      error: { type: 'string', length: 1000 },
+      reviewed_by: { type: 'string', length: 100 },
+      reviewed_at: { type: 'datetime' },
+      created_at: { type: 'datetime', default: 'now' },
+      updated_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_alert_drafts_state_created_at', columns: ['state', 'created_at'] },
+      { name: 'ix_alert_drafts_player_key', columns: ['player_key'] }
+    ]
+  },
+
+  // Append-only record of every mutating API call; rows are never updated or deleted
+  audit_log: {
+    columns: {
+      id: { type: 'id' },
+      // admin username, code for code holders, or null when unauthenticated
+      actor: { type: 'string', length: 100 },
+      // admin, code_holder, webhook, system or anonymous
+      actor_type: { type: 'string', length: 20 },
+      // e.g. code.delete, alert.update
+      action: { type: 'string', length: 50 },
+      target_type: { type: 'string', length: 50 },
+      target_id: { type: 'string', length: 300 },
+      ip: { type: 'string', length: 64 },
+      // JSON snapshots with secrets removed; null when there is no before/after
+      before_json: { type: 'text' },
+      after_json: { type: 'text' },
+      created_at: { type: 'datetime', default: 'now' }
+    },
+    indexes: [
+      { name: 'ix_audit_log_created_at', columns: ['created_at', 'id'] },
+      { name: 'ix_audit_log_target', columns: ['target_type', 'target_id'] },
+      { name: 'ix_audit_log_actor', columns: ['actor'] }
+    ]
+  }
+};
@@ -0,0 +1,266 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderDetails } = require('../lib/templates');
+const { startTestApp, waitFor, pushToken } = require('./helpers');
+
+describe('alerts', () => {
+  let t;
+  // registrationId per code
+  const devices = {};
+
+  async function sendAlert(fields) {
+    const response = await t.request('POST', '/api/alert', {
+      token: t.ownerToken,
+      body: { status: 'Out', alert_level: 'high', details: '', ...fields }
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  }
+
+  // Resolves once every queued push of the alert has a delivery row
+  async function deliveriesOf(result) {
+    return waitFor(async () => {
+      const { body } = await t.request('GET', `/api/alerts/${result.alert_id}/deliveries`, { token: t.ownerToken });
+      return body.deliveries.length >= result.push.queued && body;
+    });
+  }
+
+  before(async () => {
+    t = await startTestApp();
+    await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: ['ANNA', 'BEN', 'CARL', 'GONE'] } });
+    for (const code of ['ANNA', 'BEN', 'CARL']) {
+      const { body } = await t.request('POST', '/api/register', { body: { code, pushToken: pushToken(code) } });
+      devices[code] = body.registrationId;
+    }
+  });
+
+  after(() => t.close());
+
+  beforeEach(() => t.expo.reset());
+
+  it('stores the alert for every registered code and pushes to each device', async () => {
+    const result = await sendAlert({
+      title: 'LeBron James - LAL',
+      users: [{ user_id: 'anna', teams_affected: 2 }, { user_id: 'BEN' }, { user_id: 'GONE' }]
+    });
+    assert.equal(result.successful, 2);
+    assert.equal(result.failed, 1);
+    assert.equal(result.push.queued, 2);
+
+    const { summary } = await deliveriesOf(result);
+    assert.equal(summary.sent, 2);
+    assert.equal(t.expo.messagesTo(pushToken('ANNA')).length, 1);
+    assert.equal(t.expo.messagesTo(pushToken('BEN')).length, 1);
+    assert.match(t.expo.messages[0].title, /LeBron James/);
+
+    const inbox = await t.request('GET', '/api/user/ANNA/alerts', { registrationId: devices.ANNA });
+    assert.equal(inbox.body.alerts[0].alert_id, result.alert_id);
+    assert.equal(inbox.body.alerts[0].teams_affected, 2);
+    assert.equal(inbox.body.unread_count, 1);
+  });
+
+  it('adds the alert but sends no push when notifications are disabled', async () => {
+    const toggled = await t.request('PUT', '/api/user/CARL/notifications', {
+      registrationId: devices.CARL,
+      body: { enabled: false }
+    });
+    assert.equal(toggled.body.notifications_enabled, false);
+
+    const result = await sendAlert({ title: 'Luka Doncic - DAL', users: [{ user_id: 'ANNA' }, { user_id: 'CARL' }] });
+    assert.equal(result.successful, 2);
+    assert.equal(result.push.queued, 1);
+    await deliveriesOf(result);
+    assert.equal(t.expo.messagesTo(pushToken('CARL')).length, 0);
+
+    const inbox = await t.request('GET', '/api/user/CARL/alerts', { registrationId: devices.CARL });
+    assert.ok(inbox.body.alerts.some(alert => alert.alert_id === result.alert_id));
+
+    await t.request('PUT', '/api/user/CARL/notifications', { registrationId: devices.CARL, body: { enabled: true } });
+    const again = await sendAlert({ title: 'Luka Doncic - DAL', status: 'Questionable', users: [{ user_id: 'CARL' }], force: true });
+    await deliveriesOf(again);
+    assert.equal(t.expo.messagesTo(pushToken('CARL')).length, 1);
+  });
+
+  it('checks quiet hours are a pair of HH:MM times', async () => {
+    const badTime = await t.request('PUT', '/api/user/BEN/preferences', {
+      registrationId: devices.BEN,
+      body: { quiet_start: '25:00', quiet_end: '07:00' }
+    });
+    assert.deepEqual(badTime.body.fields, { quiet_start: 'must be a time in HH:MM format' });
+
+    const unpaired = await t.request('PUT', '/api/user/BEN/preferences', { registrationId: devices.BEN, body: { quiet_start: '23:00' } });
+    assert.equal(unpaired.status, 400);
+  });
+
+  it('records ticket errors and clears tokens Expo no longer knows', async () => {
+    await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: ['DROP'] } });
+    await t.request('POST', '/api/register', { body: { code: 'DROP', pushToken: pushToken('DROP') } });
+    t.expo.failTicket(pushToken('DROP'));
+
+    const result = await sendAlert({ title: 'Nikola Jokic - DEN', users: [{ user_id: 'ANNA' }, { user_id: 'DROP' }] });
+    const { summary, deliveries } = await deliveriesOf(result);
+    assert.deepEqual(summary, { sent: 1, delivered: 0, error: 1 });
+    assert.equal(deliveries.find(delivery => delivery.user_code === 'DROP').error, 'DeviceNotRegistered');
+
+    const registered = await t.request('GET', '/api/devices', { token: t.ownerToken });
+    assert.equal(registered.body.devices.find(device => device.code === 'DROP').pushToken, null);
+  });
+
+  it('marks every delivery as errored when Expo cannot be reached', async () => {
+    t.expo.failNextSend();
+    const result = await sendAlert({ title: 'Jayson Tatum - BOS', users: [{ user_id: 'ANNA' }, { user_id: 'BEN' }] });
+    const { summary } = await deliveriesOf(result);
+    assert.equal(summary.error, 2);
+  });
+
+  it('refuses a repeat of a recent alert unless forced', async () => {
+    await sendAlert({ title: 'Stephen Curry - GSW', users: [{ user_id: 'ANNA' }] });
+    const repeat = await t.request('POST', '/api/alert', {
+      token: t.ownerToken,
+      body: { title: 'Stephen Curry - GSW', status: 'Out', alert_level: 'high', users: [{ user_id: 'ANNA' }] }
+    });
+    assert.equal(repeat.status, 409);
+    assert.equal(repeat.body.code, 'duplicate_alert');
+  });
+
+  it('edits an alert and notifies its recipients of the change', async () => {
+    const result = await sendAlert({ title: 'Kevin Durant - PHX', users: [{ user_id: 'ANNA' }, { user_id: 'BEN' }] });
+    await deliveriesOf(result);
+    t.expo.reset();
+
+    const edited = await t.request('PUT', `/api/alerts/${result.alert_id}`, {
+      token: t.ownerToken,
+      body: { status: 'Probable', notify: true }
+    });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.revision, 1);
+    assert.equal(edited.body.push.sent, 2);
+    assert.equal(t.expo.messages.length, 2);
+
+    const inbox = await t.request('GET', '/api/user/BEN/alerts', { registrationId: devices.BEN });
+    assert.equal(inbox.body.alerts.find(alert => alert.alert_id === result.alert_id).status, 'Probable');
+
+    const revisions = await t.request('GET', `/api/alerts/${result.alert_id}/revisions`, { token: t.ownerToken });
+    assert.deepEqual(revisions.body.revisions.map(revision => revision.status), ['Out', 'Probable']);
+
+    const empty = await t.request('PUT', `/api/alerts/${result.alert_id}`, { token: t.ownerToken, body: {} });
+    assert.equal(empty.status, 400);
+  });
+
+  it('edits and cancels a scheduled alert while it is pending', async () => {
+    const sendAt = new Date(Date.now() + 3600 * 1000).toISOString();
+    const { scheduled_id: id } = await sendAlert({ title: 'Jimmy Butler - MIA', users: [{ user_id: 'ANNA' }], send_at: sendAt });
+
+    const edited = await t.request('PUT', `/api/alerts/scheduled/${id}`, { token: t.ownerToken, body: { status: 'Doubtful' } });
+    assert.equal(edited.status, 200);
+    assert.equal(edited.body.scheduled.status, 'Doubtful');
+
+    const unchanged = await t.request('PUT', `/api/alerts/scheduled/${id}`, { token: t.ownerToken, body: {} });
+    assert.equal(unchanged.status, 200);
+
+    const unknown = await t.request('PUT', '/api/alerts/scheduled/no-such-id', { token: t.ownerToken, body: {} });
+    assert.equal(unknown.status, 404);
+
+    const cancelled = await t.request('DELETE', `/api/alerts/scheduled/${id}`, { token: t.ownerToken });
+    assert.equal(cancelled.status, 200);
+    const afterCancel = await t.request('PUT', `/api/alerts/scheduled/${id}`, { token: t.ownerToken, body: {} });
+    assert.equal(afterCancel.status, 404);
+  });
+
+  it('clears the player of an alert when player_id is set to null', async () => {
+    const { body: { player } } = await t.request('POST', '/api/players', {
+      token: t.ownerToken,
+      body: { name: 'Tyrese Haliburton', team: 'IND' }
+    });
+    const result = await sendAlert({ player_id: player.id, users: [{ user_id: 'ANNA' }] });
+    await deliveriesOf(result);
+
+    const cleared = await t.request('PUT', `/api/alerts/${result.alert_id}`, {
+      token: t.ownerToken,
+      body: { player_id: null, title: 'Tyrese Haliburton (injury update)' }
+    });
+    assert.equal(cleared.status, 200);
+
+    const listed = await t.request('GET', '/api/notifications', { token: t.ownerToken });
+    const alert = listed.body.notifications.find(n => n.alert_id === result.alert_id);
+    assert.deepEqual([alert.player_id, alert.team], [null, null]);
+    const inbox = await t.request('GET', '/api/user/ANNA/alerts', { registrationId: devices.ANNA });
+    assert.equal(inbox.body.alerts.find(row => row.alert_id === result.alert_id).player_id, null);
+  });
+
+  it('moves a deleted alert to the trash and restores it', async () => {
+    const result = await sendAlert({ title: 'Joel Embiid - PHI', users: [{ user_id: 'ANNA' }] });
+    await deliveriesOf(result);
+
+    const deleted = await t.request('DELETE', `/api/alerts/${result.alert_id}`, { token: t.ownerToken });
+    assert.equal(deleted.status, 200);
+
+    const listed = await t.request('GET', '/api/notifications', { token: t.ownerToken });
+    assert.ok(!listed.body.notifications.some(n => n.alert_id === result.alert_id));
+    const inbox = await t.request('GET', '/api/user/ANNA/alerts', { registrationId: devices.ANNA });
+    assert.ok(!inbox.body.alerts.some(alert => alert.alert_id === result.alert_id));
+
+    const trash = await t.request('GET', '/api/alerts/trash', { token: t.ownerToken });
+    assert.ok(trash.body.notifications.some(n => n.alert_id === result.alert_id));
+
+    const restored = await t.request('POST', `/api/alerts/${result.alert_id}/restore`, { token: t.ownerToken });
+    assert.equal(restored.status, 200);
+    const back = await t.request('GET', '/api/user/ANNA/alerts', { registrationId: devices.ANNA });
+    assert.ok(back.body.alerts.some(alert => alert.alert_id === result.alert_id));
+  });
+
+  it('lets a code holder dismiss an alert from their own inbox only', async () => {
+    const result = await sendAlert({ title: 'Anthony Davis - LAL', users: [{ user_id: 'ANNA' }, { user_id: 'BEN' }] });
+
+    const dismissed = await t.request('DELETE', `/api/user/ANNA/alerts/${result.alert_id}`, { registrationId: devices.ANNA });
+    assert.equal(dismissed.status, 200);
+
+    const anna = await t.request('GET', '/api/user/ANNA/alerts', { registrationId: devices.ANNA });
+    assert.ok(!anna.body.alerts.some(alert => alert.alert_id === result.alert_id));
+    const ben = await t.request('GET', '/api/user/BEN/alerts', { registrationId: devices.BEN });
+    assert.ok(ben.body.alerts.some(alert => alert.alert_id === result.alert_id));
+
+    const other = await t.request('GET', '/api/user/BEN/alerts', { registrationId: devices.ANNA });
+    assert.equal(other.status, 403);
+  });
+
+  it('searches alerts by player, level and date', async () => {
+    await sendAlert({ title: 'Giannis Antetokounmpo - MIL', alert_level: 'monster', users: [{ user_id: 'ANNA' }] });
+    await sendAlert({ title: 'Damian Lillard - MIL', alert_level: 'low', users: [{ user_id: 'ANNA' }] });
+
+    const byPlayer = await t.request('GET', '/api/alerts/search?player=giannis', { token: t.ownerToken });
+    assert.deepEqual(byPlayer.body.results.map(alert => alert.title), ['Giannis Antetokounmpo - MIL']);
+
+    const byLevel = await t.request('GET', '/api/alerts/search?player=MIL&alert_level=low', { token: t.ownerToken });
+    assert.deepEqual(byLevel.body.results.map(alert => alert.title), ['Damian Lillard - MIL']);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const byDate = await t.request('GET', `/api/alerts/search?date=${today}&limit=2`, { token: t.ownerToken });
+    assert.equal(byDate.body.count, 2);
+    assert.equal(byDate.body.has_more, true);
+
+    const noFilter = await t.request('GET', '/api/alerts/search', { token: t.ownerToken });
+    assert.equal(noFilter.status, 400);
+    assert.equal(noFilter.body.code, 'validation_failed');
+  });
+
+  it('requires an editor session to send', async () => {
+    const anonymous = await t.request('POST', '/api/alert', { body: { title: 'X', status: 'Out', alert_level: 'low', users: [] } });
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.code, 'unauthenticated');
+  });
+});
+
+describe('alert templates', () => {
+  it('fills placeholders and names the ones without a value', () => {
+    assert.deepEqual(renderDetails('{player} ({team}) is {status}', { player: 'Ja Morant', team: 'MEM', status: 'Out' }), {
+      details: 'Ja Morant (MEM) is Out'
+    });
+    assert.deepEqual(renderDetails('Back in {days} days', { days: null }), { error: 'Missing template variable(s): days' });
+  });
+
+  it('does not fill placeholders from the prototype of the values', () => {
+    const rendered = renderDetails('{constructor} {__proto__} {toString}', {});
+    assert.equal(rendered.error, 'Missing template variable(s): constructor, __proto__, toString');
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { redact } = require('../lib/audit');
+const { startTestApp, pushToken } = require('./helpers');
+
+describe('audit log', () => {
+  let t;
+
+  async function entries(query) {
+    const { status, body } = await t.request('GET', `/api/audit?${query}`, { token: t.ownerToken });
+    assert.equal(status, 200, JSON.stringify(body));
+    return body;
+  }
+
+  before(async () => {
+    t = await startTestApp();
+    await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: [{ code: 'AUD1', league_count: 1 }, 'AUD2'] } });
+    await t.request('PUT', '/api/valid-codes/AUD1', { token: t.ownerToken, body: { league_count: 3 } });
+    await t.request('POST', '/api/register', { body: { code: 'AUD1', pushToken: pushToken('aud1') } });
+  });
+
+  after(() => t.close());
+
+  it('records who changed a record and how it looked before and after', async () => {
+    const { entries: [entry] } = await entries('action=code.update&target_id=AUD1');
+    assert.equal(entry.actor, 'owner');
+    assert.equal(entry.actor_type, 'admin');
+    assert.equal(entry.target_type, 'code');
+    assert.equal(entry.ip, '127.0.0.1');
+    assert.equal(entry.before.league_count, 1);
+    assert.equal(entry.after.league_count, 3);
+  });
+
+  it('records code holders and keeps credentials out of the log', async () => {
+    const { entries: [registered] } = await entries('action=device.register');
+    assert.deepEqual([registered.actor, registered.actor_type], ['AUD1', 'code_holder']);
+    assert.ok(!JSON.stringify(registered).includes(pushToken('aud1')));
+
+    await t.request('POST', '/api/admins', {
+      token: t.ownerToken,
+      body: { username: 'auditor', password: 'auditor-password', role: 'editor' }
+    });
+    const { entries: [created] } = await entries('action=admin.create');
+    assert.equal(created.after.username, 'auditor');
+    assert.ok(!JSON.stringify(created).includes('auditor-password'));
+
+    assert.deepEqual(
+      redact({ name: 'x', password: 'p', nested: [{ token: 't', pushToken: 'e' }] }),
+      { name: 'x', password: '[redacted]', nested: [{ token: '[redacted]', pushToken: '[redacted]' }] }
+    );
+  });
+
+  it('filters by actor and several actions and pages with a cursor', async () => {
+    const byActor = await entries('actor=AUD1');
+    assert.ok(byActor.entries.every(entry => entry.actor === 'AUD1'));
+
+    const both = await entries('action=code.update,device.register');
+    assert.deepEqual(both.entries.map(entry => entry.action).sort(), ['code.update', 'device.register']);
+
+    const first = await entries('limit=2');
+    assert.equal(first.entries.length, 2);
+    assert.equal(first.has_more, true);
+    const second = await entries(`limit=2&cursor=${encodeURIComponent(first.next_cursor)}`);
+    const ids = [...first.entries, ...second.entries].map(entry => entry.id);
+    assert.equal(new Set(ids).size, ids.length);
+    assert.ok(new Date(second.entries[0].created_at) <= new Date(first.entries[1].created_at));
+
+    const badCursor = await t.request('GET', '/api/audit?cursor=nonsense', { token: t.ownerToken });
+    assert.equal(badCursor.status, 400);
+  });
+
+  it('is only shown to owners', async () => {
+    const login = await t.request('POST', '/api/auth/login', { body: { username: 'auditor', password: 'auditor-password' } });
+    const denied = await t.request('GET', '/api/audit', { token: login.body.token });
+    assert.equal(denied.status, 403);
+  });
+});
@@ -0,0 +1,69 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sql = require('mssql');
+const { createAzureAdapter } = require('../storage/adapters/azure');
+
+describe('azure adapter', () => {
+  const original = { Transaction: sql.Transaction, Request: sql.Request };
+  const statements = [];
+  const transactions = [];
+  let adapter;
+
+  // Stand in for mssql: each statement is recorded with the transaction it ran on
+  class FakeTransaction {
+    constructor() {
+      this.id = transactions.length + 1;
+      this.events = [];
+      transactions.push(this);
+    }
+    async begin() { this.events.push('begin'); }
+    async commit() { this.events.push('commit'); }
+    async rollback() { this.events.push('rollback'); }
+  }
+
+  class FakeRequest {
+    constructor(tx = null) { this.tx = tx; }
+    input() {}
+    async query(text) {
+      statements.push({ text, tx: this.tx && this.tx.id });
+      return { recordset: [], rowsAffected: [1] };
+    }
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(sql, 'connect', async () => ({ request: () => new FakeRequest(), close: async () => {} }));
+    sql.Transaction = FakeTransaction;
+    sql.Request = FakeRequest;
+    adapter = createAzureAdapter({});
+    await adapter.connect();
+  });
+
+  after(() => {
+    Object.assign(sql, original);
+    mock.restoreAll();
+  });
+
+  it('runs nested transactions and outside queries made in one on the open transaction', async () => {
+    await adapter.transaction(async (tx) => {
+      await tx.query('INSERT outer');
+      await adapter.query('INSERT through the adapter');
+      await tx.transaction(inner => inner.query('INSERT nested'));
+    });
+    await adapter.query('SELECT after');
+
+    assert.equal(transactions.length, 1);
+    assert.deepEqual(transactions[0].events, ['begin', 'commit']);
+    assert.deepEqual(statements.map(statement => statement.tx), [1, 1, 1, null]);
+  });
+
+  it('rolls the whole transaction back when nested work fails', async () => {
+    await assert.rejects(adapter.transaction(async (tx) => {
+      await tx.query('INSERT outer');
+      await tx.transaction(async () => { throw new Error('nested failure'); });
+    }), /nested failure/);
+
+    assert.equal(transactions.length, 2);
+    assert.deepEqual(transactions[1].events, ['begin', 'rollback']);
+  });
+});
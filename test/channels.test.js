@@ -0,0 +1,182 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const { createStorage } = require('../storage');
+const { createSmtpTransport } = require('../lib/smtp');
+const { createEmailChannel } = require('../lib/email');
+const { createWebhookChannel } = require('../lib/webhooks');
+const { FakeSmtpServer } = require('./fakeSmtp');
+
+const NOTIFICATION = {
+  title: 'Zion Williamson - NOP',
+  body: 'Zion Williamson - NOP - Out',
+  data: { details: 'Hamstring', teams_affected: 2 }
+};
+
+describe('email channel', () => {
+  let storage;
+  let smtp;
+  let port;
+
+  function transport(options = {}) {
+    return createSmtpTransport({ host: '127.0.0.1', port, secure: false, rejectUnauthorized: false, timeoutMs: 2000, ...options });
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    storage = createStorage({ client: 'sqlite', filename: ':memory:' });
+    await storage.init();
+    smtp = new FakeSmtpServer({ users: { mailer: 'mail-password' } });
+    port = await smtp.listen();
+  });
+
+  after(async () => {
+    await smtp.close();
+    await storage.close();
+    mock.restoreAll();
+  });
+
+  it('sends over STARTTLS with authentication and records the delivery', async () => {
+    const channel = createEmailChannel({
+      storage,
+      transport: transport({ user: 'mailer', pass: 'mail-password' }),
+      from: 'alerts@example.com'
+    });
+    const message = channel.buildMessage(NOTIFICATION, { target: 'fan@example.com' });
+    const counts = await channel.send('alert-1', [{ user_code: 'MAIL1', message }]);
+    assert.deepEqual(counts, { sent: 1, errored: 0 });
+
+    const [received] = smtp.messages;
+    assert.deepEqual([received.from, received.to, received.secure, received.authenticated], ['alerts@example.com', ['fan@example.com'], true, true]);
+    assert.match(received.data, /^Subject: Zion Williamson - NOP$/m);
+
+    const [delivery] = await storage.channelDeliveries.listForAlert('alert-1');
+    assert.deepEqual([delivery.channel, delivery.target, delivery.status], ['email', 'fan@example.com', 'sent']);
+  });
+
+  it('keeps line breaks in the title out of the headers', async () => {
+    const channel = createEmailChannel({ storage, transport: transport({ user: 'mailer', pass: 'mail-password' }) });
+    const message = channel.buildMessage({ ...NOTIFICATION, title: 'Out\r\nBcc: everyone@example.com' }, { target: 'fan@example.com' });
+    assert.equal(message.subject, 'Out Bcc: everyone@example.com');
+
+    await channel.send('alert-2', [{ user_code: 'MAIL1', message }]);
+    const received = smtp.messages[smtp.messages.length - 1];
+    assert.deepEqual(received.to, ['fan@example.com']);
+    assert.doesNotMatch(received.data, /^Bcc:/m);
+  });
+
+  it('records a failed login as an errored delivery', async () => {
+    const channel = createEmailChannel({ storage, transport: transport({ user: 'mailer', pass: 'wrong' }) });
+    const message = channel.buildMessage(NOTIFICATION, { target: 'fan@example.com' });
+    const counts = await channel.send('alert-3', [{ user_code: 'MAIL1', message }]);
+    assert.deepEqual(counts, { sent: 0, errored: 1 });
+
+    const [delivery] = await storage.channelDeliveries.listForAlert('alert-3');
+    assert.equal(delivery.error, 'EAUTH');
+  });
+
+  it('fails the send, without crashing, when the server drops the connection', async () => {
+    const dropping = new FakeSmtpServer({ users: { mailer: 'mail-password' }, dropAfter: 'MAIL' });
+    const droppingPort = await dropping.listen();
+    try {
+      const send = transport({ port: droppingPort, user: 'mailer', pass: 'mail-password' }).sendMail({
+        from: 'alerts@example.com', to: 'fan@example.com', subject: 'Hi', text: 'Hello'
+      });
+      await assert.rejects(send, error => typeof error.code === 'string');
+      assert.equal(dropping.messages.length, 0);
+    } finally {
+      await dropping.close();
+    }
+  });
+});
+
+describe('webhook channel', () => {
+  let storage;
+  let server;
+  let base;
+  // Requests the receiver got: { headers, body }; status is what it answers
+  const received = [];
+  let status = 204;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    storage = createStorage({ client: 'sqlite', filename: ':memory:' });
+    await storage.init();
+
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(status).end();
+      });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server.close();
+    await storage.close();
+    mock.restoreAll();
+  });
+
+  it('posts the alert in the chosen format, signed with the secret', async () => {
+    const channel = createWebhookChannel({ storage, allowPrivate: true });
+    const message = channel.buildMessage(NOTIFICATION, { target: `${base}/hook`, format: 'discord', secret: 'webhook-secret-123' });
+    const counts = await channel.send('hook-1', [{ user_code: 'HOOK1', message }]);
+    assert.deepEqual(counts, { sent: 1, errored: 0 });
+
+    const [request] = received;
+    assert.match(JSON.parse(request.body).content, /^\*\*Zion Williamson - NOP\*\*\n.*Out\n\nHamstring/);
+    const expected = crypto.createHmac('sha256', 'webhook-secret-123').update(request.body).digest('hex');
+    assert.equal(request.headers['x-alert-signature'], `sha256=${expected}`);
+
+    const unsigned = channel.buildMessage(NOTIFICATION, { target: `${base}/hook`, format: 'json' });
+    await channel.deliver(unsigned);
+    const last = received[received.length - 1];
+    assert.equal(last.headers['x-alert-signature'], undefined);
+    assert.equal(JSON.parse(last.body).teams_affected, 2);
+  });
+
+  it('records an error answer from the receiver', async () => {
+    status = 500;
+    try {
+      const channel = createWebhookChannel({ storage, allowPrivate: true });
+      const message = channel.buildMessage(NOTIFICATION, { target: `${base}/hook`, format: 'slack' });
+      await channel.send('hook-2', [{ user_code: 'HOOK1', message }]);
+    } finally {
+      status = 204;
+    }
+    const [delivery] = await storage.channelDeliveries.listForAlert('hook-2');
+    assert.deepEqual([delivery.status, delivery.error], ['error', 'HttpError']);
+  });
+
+  it('refuses private addresses, resolving the host once for the check and the connection', async () => {
+    const count = received.length;
+    const channel = createWebhookChannel({ storage });
+    const message = { url: `${base}/hook`, body: {} };
+    await assert.rejects(channel.deliver(message), { code: 'BlockedAddress' });
+
+    // A name that resolves somewhere private is refused by the lookup the request connects with
+    const lookups = [];
+    const resolver = (hostname, options, callback) => {
+      lookups.push(hostname);
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    };
+    const named = createWebhookChannel({ storage, lookup: resolver });
+    const port = server.address().port;
+    await assert.rejects(named.deliver({ url: `http://hooks.example.com:${port}/hook`, body: {} }), { code: 'BlockedAddress' });
+    assert.deepEqual(lookups, ['hooks.example.com']);
+    assert.equal(received.length, count);
+
+    // The connection goes to the address that lookup answered
+    const allowed = createWebhookChannel({ storage, allowPrivate: true, lookup: resolver });
+    await allowed.deliver({ url: `http://hooks.example.com:${port}/hook`, body: {} });
+    assert.equal(received.length, count + 1);
+    assert.equal(received[count].headers.host, `hooks.example.com:${port}`);
+  });
+});
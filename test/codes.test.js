@@ -0,0 +1,195 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_IMPORT_ROWS, parseCodeImport, planCodeImport } = require('../lib/codeImport');
+const { toCsv } = require('../lib/csv');
+const { startTestApp, pushToken } = require('./helpers');
+
+describe('code management', () => {
+  let t;
+  let alphaRegistrationId;
+
+  async function findCode(code) {
+    const { body } = await t.request('GET', '/api/valid-codes', { token: t.ownerToken });
+    return body.codes.find(row => row.code === code);
+  }
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('adds codes, skipping existing ones and reporting invalid items', async () => {
+    const { body } = await t.request('POST', '/api/add-valid-codes', {
+      token: t.ownerToken,
+      body: { codes: ['alpha', { code: 'BETA', league_count: 3 }, { code: 'BAD', league_count: 0 }, 'ALPHA'] }
+    });
+    assert.equal(body.added, 2);
+    assert.equal(body.errors, 2);
+    assert.deepEqual(body.details.added.map(row => [row.code, row.league_count]), [['ALPHA', 1], ['BETA', 3]]);
+
+    const again = await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: ['BETA'] } });
+    assert.deepEqual(again.body.details.skipped, ['BETA']);
+    assert.equal((await findCode('BETA')).league_count, 3);
+  });
+
+  it('updates the subscription fields of a code', async () => {
+    const { status, body } = await t.request('PUT', '/api/valid-codes/ALPHA', {
+      token: t.ownerToken,
+      body: { league_count: 4, plan: 'season', device_limit: 2 }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.code.league_count, 4);
+    assert.equal(body.code.plan, 'season');
+
+    const missing = await t.request('PUT', '/api/valid-codes/NOPE', { token: t.ownerToken, body: { league_count: 2 } });
+    assert.equal(missing.status, 404);
+
+    const badEmail = await t.request('PUT', '/api/valid-codes/ALPHA', { token: t.ownerToken, body: { owner_email: 'not-an-email' } });
+    assert.deepEqual(badEmail.body.fields, { owner_email: 'is not a valid email address' });
+  });
+
+  it('generates random codes with a prefix', async () => {
+    const { body } = await t.request('POST', '/api/valid-codes/generate', {
+      token: t.ownerToken,
+      body: { count: 3, prefix: 's25-', league_count: 2 }
+    });
+    assert.equal(body.codes.length, 3);
+    for (const code of body.codes) assert.match(code, /^S25-[A-Z2-9]{8}$/);
+  });
+
+  it('previews a CSV import without writing it', async () => {
+    const csv = 'code,league_count,plan\nBETA,5,gold\n"GAMMA, DELTA",1,\nEPSILON,two,\nZETA,,\n';
+    const { body } = await t.request('POST', '/api/valid-codes/import?dry_run=true&upsert=true', { token: t.ownerToken, csv });
+    assert.equal(body.dry_run, true);
+    assert.deepEqual([body.added, body.updated, body.skipped, body.invalid], [1, 1, 0, 2]);
+    assert.deepEqual(body.details.updated[0].previous, { league_count: 3, plan: null });
+    assert.deepEqual(body.details.invalid.map(row => row.row), [2, 3]);
+
+    assert.equal((await findCode('BETA')).league_count, 3);
+    assert.equal(await findCode('ZETA'), undefined);
+  });
+
+  it('imports CSV rows, updating existing codes only with upsert', async () => {
+    const csv = 'code,league_count\nBETA,5\nZETA,2\n';
+    const skipped = await t.request('POST', '/api/valid-codes/import', { token: t.ownerToken, csv });
+    assert.deepEqual([skipped.body.added, skipped.body.updated, skipped.body.skipped], [1, 0, 1]);
+    assert.equal((await findCode('BETA')).league_count, 3);
+
+    const upserted = await t.request('POST', '/api/valid-codes/import?upsert=true', { token: t.ownerToken, csv });
+    assert.deepEqual([upserted.body.added, upserted.body.updated, upserted.body.skipped], [0, 1, 1]);
+    assert.equal((await findCode('BETA')).league_count, 5);
+    assert.equal(upserted.body.details.skipped[0].reason, 'unchanged');
+  });
+
+  it('imports JSON and rejects an empty upload', async () => {
+    const { body } = await t.request('POST', '/api/valid-codes/import', {
+      token: t.ownerToken,
+      body: { codes: ['ETA', { code: 'THETA', league_count: 2, status: 'suspended' }] }
+    });
+    assert.equal(body.added, 2);
+    assert.equal((await findCode('THETA')).status, 'suspended');
+
+    const empty = await t.request('POST', '/api/valid-codes/import', { token: t.ownerToken, body: { codes: [] } });
+    assert.equal(empty.status, 400);
+  });
+
+  it('exports codes with their registration status', async () => {
+    const registered = await t.request('POST', '/api/register', { body: { code: 'ALPHA', pushToken: pushToken('alpha') } });
+    alphaRegistrationId = registered.body.registrationId;
+
+    const json = await t.request('GET', '/api/valid-codes/export', { token: t.ownerToken });
+    const alpha = json.body.codes.find(row => row.code === 'ALPHA');
+    assert.deepEqual([alpha.device_count, alpha.devices_allowed, alpha.registration_status], [1, 2, 'registered']);
+    assert.equal(json.body.codes.find(row => row.code === 'BETA').registration_status, 'unregistered');
+
+    const csv = await t.request('GET', '/api/valid-codes/export?format=csv', { token: t.ownerToken });
+    assert.match(csv.headers.get('content-disposition'), /valid-codes\.csv/);
+    const [header, ...rows] = csv.body.trim().split(/\r?\n/);
+    assert.ok(header.startsWith('code,league_count,device_limit,status'));
+    assert.equal(rows.length, json.body.total);
+
+    // The export can be imported again unchanged
+    const reimport = await t.request('POST', '/api/valid-codes/import?upsert=true&dry_run=true', { token: t.ownerToken, csv: csv.body });
+    assert.deepEqual([reimport.body.added, reimport.body.updated, reimport.body.invalid], [0, 0, 0]);
+  });
+
+  it('deletes a code together with its devices', async () => {
+    const { body: device } = await t.request('POST', '/api/register', {
+      body: { code: 'ALPHA', pushToken: pushToken('alpha-2'), registration_secret: alphaRegistrationId }
+    });
+
+    const deleted = await t.request('DELETE', '/api/delete-code/ALPHA', { token: t.ownerToken });
+    assert.equal(deleted.status, 200);
+    assert.equal(await findCode('ALPHA'), undefined);
+
+    const devices = await t.request('GET', '/api/devices', { token: t.ownerToken });
+    assert.ok(!devices.body.devices.some(row => row.code === 'ALPHA'));
+    for (const registrationId of [alphaRegistrationId, device.registrationId]) {
+      const inbox = await t.request('GET', '/api/user/ALPHA/alerts', { registrationId });
+      assert.equal(inbox.status, 403);
+    }
+
+    const verify = await t.request('GET', '/api/verify/ALPHA');
+    assert.equal(verify.body.valid, false);
+
+    const again = await t.request('DELETE', '/api/delete-code/ALPHA', { token: t.ownerToken });
+    assert.equal(again.status, 404);
+  });
+
+  it('keeps code management to owners', async () => {
+    await t.request('POST', '/api/admins', {
+      token: t.ownerToken,
+      body: { username: 'editor', password: 'editor-password', role: 'editor' }
+    });
+    const login = await t.request('POST', '/api/auth/login', { body: { username: 'editor', password: 'editor-password' } });
+
+    const listed = await t.request('GET', '/api/valid-codes', { token: login.body.token });
+    assert.equal(listed.status, 403);
+    const imported = await t.request('POST', '/api/valid-codes/import', { token: login.body.token, body: { codes: ['IOTA'] } });
+    assert.equal(imported.status, 403);
+  });
+});
+
+describe('code import planning', () => {
+  it('parses CSV cells, leaving empty ones unset, and caps the number of rows', () => {
+    const { records } = parseCodeImport('code,league_count,note\nA1,2,"first, second"\nA2,,\n');
+    assert.deepEqual(records, [{ code: 'A1', league_count: '2', note: 'first, second' }, { code: 'A2' }]);
+
+    assert.match(parseCodeImport({ codes: Array(MAX_IMPORT_ROWS + 1).fill('X') }).error, /At most/);
+    assert.ok(parseCodeImport({ list: [] }).error);
+  });
+
+  it('flags repeated codes and compares dates by instant', () => {
+    const existing = [{ code: 'SAME', league_count: 1, expires_at: '2027-01-01T00:00:00.000Z', plan: null }];
+    const plan = planCodeImport([
+      { code: 'same', expires_at: '2027-01-01T00:00:00Z' },
+      { code: 'SAME', league_count: 2 },
+      { code: 'NEW1', league_count: 'many' },
+      42
+    ], existing, { upsert: true });
+
+    assert.deepEqual(plan.skipped, [{ row: 1, code: 'SAME', reason: 'unchanged' }]);
+    assert.deepEqual(plan.invalid.map(row => [row.row, row.code]), [[2, 'SAME'], [3, 'NEW1'], [4, null]]);
+    assert.match(plan.invalid[0].reason, /more than once/);
+  });
+});
+
+describe('CSV export', () => {
+  it('quotes separators and keeps cells a spreadsheet would run as formulas as text', () => {
+    const csv = toCsv([
+      { name: '=HYPERLINK("http://example.com")', note: 'a, b' },
+      { name: '+1', note: '-2' },
+      { name: '@SUM(A1)', note: '\tTab' },
+      { name: 'Ja Morant', note: -3 }
+    ], ['name', 'note']);
+    assert.deepEqual(csv.split('\r\n'), [
+      'name,note',
+      '"\'=HYPERLINK(""http://example.com"")","a, b"',
+      "'+1,'-2",
+      "'@SUM(A1),'\tTab",
+      'Ja Morant,-3',
+      ''
+    ]);
+  });
+});
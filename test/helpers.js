@@ -0,0 +1,87 @@
+// Runs the app in-process against an in-memory SQLite database and the mock
+// Expo client, so the suite needs no network and no Azure database.
+const { once } = require('events');
+const { mock } = require('node:test');
+const { createStorage } = require('../storage');
+const { createApp } = require('../app');
+const { MockExpo } = require('./mockExpo');
+
+const OWNER = { username: 'owner', password: 'owner-password' };
+
+// Generous enough that only the tests about limits ever reach them
+const TEST_RATE_LIMITS = { verifyPerIp: 1000, registerPerIp: 1000, perCode: 1000, maxFailures: 1000 };
+
+// options are passed to createApp (e.g. rateLimits). Returns the created app plus
+// expo (the MockExpo), request(method, path, options) and close().
+async function startTestApp(options = {}) {
+  // The app logs every send and registration; they are kept out of the test output
+  // until close() puts console back
+  const quiet = ['log', 'warn'].map(method => mock.method(console, method, () => {}));
+
+  process.env.ADMIN_USERNAME = OWNER.username;
+  process.env.ADMIN_PASSWORD = OWNER.password;
+
+  const storage = createStorage({ client: 'sqlite', filename: ':memory:' });
+  const expo = new MockExpo();
+  const created = createApp({
+    storage,
+    expo,
+    channels: {},
+    ...options,
+    rateLimits: { ...TEST_RATE_LIMITS, ...options.rateLimits }
+  });
+  await created.start({ workers: false });
+
+  const server = created.app.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // options: { body, csv, token, registrationId, headers }. body is sent as JSON and
+  // csv as text/csv. Resolves to { status, headers, body } with body parsed when JSON.
+  async function request(method, path, { body, csv, token, registrationId, headers = {} } = {}) {
+    const sent = { ...headers };
+    if (token) sent.Authorization = `Bearer ${token}`;
+    if (registrationId) sent['X-Registration-Id'] = registrationId;
+    if (body !== undefined) sent['Content-Type'] = 'application/json';
+    if (csv !== undefined) sent['Content-Type'] = 'text/csv';
+
+    const response = await fetch(base + path, {
+      method,
+      headers: sent,
+      body: body !== undefined ? JSON.stringify(body) : csv
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  }
+
+  const login = await request('POST', '/api/auth/login', { body: OWNER });
+  const ownerToken = login.body.token;
+
+  async function close() {
+    server.closeAllConnections();
+    server.close();
+    await storage.close();
+    for (const stub of quiet.reverse()) stub.mock.restore();
+  }
+
+  return { ...created, expo, request, ownerToken, close };
+}
+
+// Pushes go out in the background after the request has been answered, so tests
+// poll for their outcome. check returns a truthy value once done.
+async function waitFor(check, { timeoutMs = 2000, intervalMs = 10 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a background delivery');
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+function pushToken(name) {
+  return `ExponentPushToken[${name}]`;
+}
+
+module.exports = { OWNER, startTestApp, waitFor, pushToken };
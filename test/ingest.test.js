@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Read when lib/ingest.js is loaded
+process.env.INGEST_SECRET = 'ingest-secret';
+
+const { normalizeStatus, suggestLevel, verifySignature, createIngestService } = require('../lib/ingest');
+const { startTestApp } = require('./helpers');
+
+function sign(body, secret = 'ingest-secret') {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+describe('feed parsing', () => {
+  it('maps feed wording onto the dashboard statuses', () => {
+    assert.equal(normalizeStatus('GTD'), 'Questionable');
+    assert.equal(normalizeStatus('  Ruled   OUT '), 'Out');
+    assert.equal(normalizeStatus('off injury report'), 'Off Injury Report');
+    assert.equal(normalizeStatus('sore'), null);
+    assert.equal(normalizeStatus(undefined), null);
+  });
+
+  it('suggests a level from the status change', () => {
+    assert.equal(suggestLevel(null, 'Out'), 'high');
+    assert.equal(suggestLevel('Out', 'Playing'), 'high');
+    assert.equal(suggestLevel('Questionable', 'Note'), 'low');
+  });
+
+  it('accepts only a sha256 HMAC of the raw body made with the secret', () => {
+    const body = '{"updates":[]}';
+    assert.equal(verifySignature('ingest-secret', body, sign(body)), true);
+    assert.equal(verifySignature('ingest-secret', body, sign(body).toUpperCase().replace('SHA256', 'sha256')), true);
+    assert.equal(verifySignature('ingest-secret', body, sign(body, 'other-secret')), false);
+    assert.equal(verifySignature('ingest-secret', body, 'sha256=abc'), false);
+    assert.equal(verifySignature(null, body, sign(body)), false);
+  });
+});
+
+describe('injury feed ingest', () => {
+  let t;
+  let player;
+
+  // request sends body as JSON.stringify(body), the text that is signed here
+  async function post(updates) {
+    return t.request('POST', '/api/ingest', {
+      headers: { 'X-Ingest-Signature': sign(JSON.stringify({ updates })), 'X-Ingest-Source': 'test-feed' },
+      body: { updates }
+    });
+  }
+
+  async function drafts(state = 'pending') {
+    const { body } = await t.request('GET', `/api/drafts?state=${state}`, { token: t.ownerToken });
+    return body.drafts;
+  }
+
+  before(async () => {
+    t = await startTestApp();
+    const created = await t.request('POST', '/api/players', {
+      token: t.ownerToken,
+      body: { name: 'Ja Morant', team: 'MEM', external_id: 'feed-12' }
+    });
+    player = created.body.player;
+  });
+
+  after(() => t.close());
+
+  it('refuses an unsigned or wrongly signed upload', async () => {
+    const body = { updates: [{ player_id: player.id, status: 'Out' }] };
+    const unsigned = await t.request('POST', '/api/ingest', { body });
+    assert.equal(unsigned.status, 401);
+
+    const wrong = await t.request('POST', '/api/ingest', {
+      headers: { 'X-Ingest-Signature': sign(JSON.stringify(body), 'guess') },
+      body
+    });
+    assert.equal(wrong.body.code, 'invalid_signature');
+  });
+
+  it('drafts an alert for a status change and ignores a repeat or an older report', async () => {
+    const first = await post([{ external_id: 'feed-12', status: 'O', details: 'Ankle', reported_at: '2026-01-02T18:00:00Z' }]);
+    assert.equal(first.body.drafted, 1);
+
+    const [draft] = await drafts();
+    assert.equal(draft.player_id, player.id);
+    assert.equal(draft.status, 'Out');
+    assert.equal(draft.alert_level, 'high');
+    assert.equal(draft.source, 'test-feed');
+
+    const repeat = await post([{ player_id: player.id, status: 'out', reported_at: '2026-01-02T19:00:00Z' }]);
+    assert.equal(repeat.body.unchanged, 1);
+
+    const older = await post([{ player_id: player.id, status: 'Questionable', reported_at: '2026-01-01T12:00:00Z' }]);
+    assert.equal(older.body.stale, 1);
+  });
+
+  it('supersedes the pending draft when the status changes again', async () => {
+    const [earlier] = await drafts();
+    const changed = await post([{ player_id: player.id, status: 'GTD', reported_at: '2026-01-03T12:00:00Z' }]);
+    assert.equal(changed.body.drafted, 1);
+
+    const pending = await drafts();
+    assert.deepEqual(pending.map(draft => [draft.status, draft.previous_status]), [['Questionable', 'Out']]);
+    assert.ok((await drafts('superseded')).some(draft => draft.id === earlier.id));
+  });
+
+  it('keeps players outside the registry apart by external_id and needs a name for them', async () => {
+    const summary = await post([
+      { external_id: 'unknown-1', name: 'Cam Thomas', status: 'Out' },
+      { external_id: 'unknown-2', name: 'Cam Thomas', status: 'Out' },
+      { external_id: 'unknown-3', status: 'Out' },
+      { player_id: 'no-such-player', status: 'Out' },
+      { name: 'Nobody', status: 'sore' }
+    ]);
+    assert.equal(summary.body.drafted, 2);
+    assert.deepEqual(summary.body.errors.map(error => error.row), [3, 4, 5]);
+    assert.match(summary.body.errors[0].reason, /no name/);
+
+    const titles = (await drafts()).filter(draft => !draft.player_id).map(draft => draft.title);
+    assert.deepEqual(titles, ['Cam Thomas', 'Cam Thomas']);
+  });
+
+  it('sends an approved draft to the chosen users', async () => {
+    await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: ['FEED'] } });
+    await t.request('POST', '/api/register', { body: { code: 'FEED', pushToken: 'ExponentPushToken[feed]' } });
+    const draft = (await drafts()).find(row => !row.player_id);
+
+    const noRecipients = await t.request('POST', `/api/drafts/${draft.id}/approve`, { token: t.ownerToken, body: {} });
+    assert.equal(noRecipients.body.code, 'no_recipients');
+
+    const approved = await t.request('POST', `/api/drafts/${draft.id}/approve`, {
+      token: t.ownerToken,
+      body: { alert_level: 'medium', users: [{ user_id: 'FEED' }] }
+    });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.successful, 1);
+
+    const again = await t.request('POST', `/api/drafts/${draft.id}/approve`, { token: t.ownerToken, body: { users: [{ user_id: 'FEED' }] } });
+    assert.equal(again.body.code, 'already_reviewed');
+  });
+
+  it('ingests dropped files and sets aside the ones it cannot parse', async (context) => {
+    context.mock.method(console, 'error', () => {});
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ingest-'));
+    try {
+      await fs.writeFile(path.join(dir, 'report.csv'), 'name,team,status\nDillon Brooks,PHX,Out\n');
+      await fs.writeFile(path.join(dir, 'broken.json'), '{ not json');
+      await fs.writeFile(path.join(dir, 'notes.txt'), 'ignored');
+
+      const service = createIngestService({ storage: t.storage, alerts: t.alerts, events: { publish() {} } });
+      assert.deepEqual(await service.processDirectory(dir), { files: 2 });
+
+      assert.equal((await fs.readdir(path.join(dir, 'processed'))).length, 1);
+      assert.match((await fs.readdir(path.join(dir, 'failed')))[0], /broken\.json$/);
+      assert.deepEqual(await fs.readdir(dir).then(names => names.sort()), ['failed', 'notes.txt', 'processed']);
+      assert.ok((await drafts()).some(draft => draft.title === 'Dillon Brooks - PHX'));
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
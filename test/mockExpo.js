@@ -0,0 +1,72 @@
+// Stand-in for the Expo client in tests. It keeps Expo's own chunking but records
+// every message instead of sending it, and answers tickets and receipts with the
+// errors a test asked for.
+const { Expo } = require('expo-server-sdk');
+
+class MockExpo extends Expo {
+  constructor() {
+    super();
+    this.reset();
+  }
+
+  reset() {
+    this.messages = [];
+    this.ticketErrors = new Map();
+    this.receiptErrors = new Map();
+    this.sendFailure = null;
+    this.ticketTokens = new Map();
+    this.nextTicket = 1;
+  }
+
+  // Tickets for pushToken come back as error (e.g. DeviceNotRegistered, MessageRateExceeded)
+  failTicket(pushToken, error = 'DeviceNotRegistered') {
+    this.ticketErrors.set(pushToken, error);
+  }
+
+  // Receipts for tickets sent to pushToken come back as error
+  failReceipt(pushToken, error = 'DeviceNotRegistered') {
+    this.receiptErrors.set(pushToken, error);
+  }
+
+  // The next send rejects, as it does when Expo cannot be reached
+  failNextSend(message = 'Network request failed') {
+    this.sendFailure = new Error(message);
+  }
+
+  messagesTo(pushToken) {
+    return this.messages.filter(message => message.to === pushToken);
+  }
+
+  async sendPushNotificationsAsync(messages) {
+    if (this.sendFailure) {
+      const failure = this.sendFailure;
+      this.sendFailure = null;
+      throw failure;
+    }
+
+    this.messages.push(...messages);
+    return messages.map((message) => {
+      const error = this.ticketErrors.get(message.to);
+      if (error) {
+        return { status: 'error', message: `"${message.to}" failed with ${error}`, details: { error } };
+      }
+      const id = `ticket-${this.nextTicket++}`;
+      this.ticketTokens.set(id, message.to);
+      return { status: 'ok', id };
+    });
+  }
+
+  async getPushNotificationReceiptsAsync(ids) {
+    const receipts = {};
+    for (const id of ids) {
+      if (!this.ticketTokens.has(id)) continue;
+      const error = this.receiptErrors.get(this.ticketTokens.get(id));
+      receipts[id] = error
+        ? { status: 'error', message: `Receipt failed with ${error}`, details: { error } }
+        : { status: 'ok' };
+    }
+    return receipts;
+  }
+}
+
+module.exports = { MockExpo };
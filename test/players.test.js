@@ -0,0 +1,62 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers');
+
+describe('player registry', () => {
+  let t;
+
+  async function players() {
+    const { body } = await t.request('GET', '/api/players', { token: t.ownerToken });
+    return body.players;
+  }
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(() => t.close());
+
+  it('imports CSV rows, creating teams and matching players by external_id', async () => {
+    const csv = 'name,team,team_name,positions,external_id\nJalen Brunson,nyk,New York Knicks,PG,p-1\nMikal Bridges,NYK,,SF,\n';
+    const first = await t.request('POST', '/api/players/import', { token: t.ownerToken, csv });
+    assert.deepEqual([first.body.added, first.body.updated, first.body.errors], [2, 0, 0]);
+    assert.deepEqual(first.body.details.teams_created, ['NYK']);
+
+    const renamed = await t.request('POST', '/api/players/import', {
+      token: t.ownerToken,
+      body: { players: [{ name: 'Jalen Brunson Jr.', team: 'NYK', external_id: 'p-1' }] }
+    });
+    assert.equal(renamed.body.updated, 1);
+    assert.ok((await players()).some(player => player.name === 'Jalen Brunson Jr.' && player.external_id === 'p-1'));
+  });
+
+  it('reports malformed rows instead of failing the import', async () => {
+    const { status, body } = await t.request('POST', '/api/players/import', {
+      token: t.ownerToken,
+      body: { players: [{ name: 42, team: 'NYK' }, { name: 'OG Anunoby' }, 'Josh Hart', { name: 'Josh Hart', team: 'NYK' }] }
+    });
+    assert.equal(status, 200);
+    assert.equal(body.added, 1);
+    assert.deepEqual(body.details.errors.map(error => [error.row, error.reason]), [
+      [1, 'name must be a string'],
+      [2, 'team is required'],
+      [3, 'must be an object']
+    ]);
+
+    const empty = await t.request('POST', '/api/players/import', { token: t.ownerToken, body: { players: [] } });
+    assert.equal(empty.status, 400);
+  });
+
+  it('edits a player and answers 404 for an unknown one', async () => {
+    const [player] = await players();
+    const renamed = await t.request('PUT', `/api/players/${player.id}`, { token: t.ownerToken, body: { positions: 'G' } });
+    assert.equal(renamed.body.player.positions, 'G');
+
+    const unchanged = await t.request('PUT', `/api/players/${player.id}`, { token: t.ownerToken, body: {} });
+    assert.equal(unchanged.status, 200);
+
+    const missing = await t.request('PUT', '/api/players/no-such-player', { token: t.ownerToken, body: {} });
+    assert.equal(missing.status, 404);
+    assert.equal((await t.storage.players.update('no-such-player', {})), false);
+  });
+});
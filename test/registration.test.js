@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const migrations = require('../storage/migrations');
+const { startTestApp, pushToken } = require('./helpers');
+
+describe('device registration', () => {
+  let t;
+  // registrationId of REG1's phone
+  let phoneId;
+
+  before(async () => {
+    t = await startTestApp();
+    await t.request('POST', '/api/add-valid-codes', {
+      token: t.ownerToken,
+      body: { codes: [{ code: 'REG1', league_count: 2 }, { code: 'PAIR', device_limit: 2 }, { code: 'OFF', status: 'suspended' }] }
+    });
+  });
+
+  after(() => t.close());
+
+  it('verifies known, unknown and inactive codes', async () => {
+    const known = await t.request('GET', '/api/verify/reg1');
+    assert.deepEqual(known.body, { success: true, valid: true, code: 'REG1', league_count: 2 });
+
+    const unknown = await t.request('GET', '/api/verify/NOPE');
+    assert.equal(unknown.body.valid, false);
+
+    const inactive = await t.request('GET', '/api/verify/OFF');
+    assert.deepEqual(inactive.body, { success: true, valid: false, reason: 'suspended' });
+  });
+
+  it('registers a device and returns its registrationId', async () => {
+    const { status, body } = await t.request('POST', '/api/register', {
+      body: { code: 'reg1', pushToken: pushToken('reg1-phone'), device_name: 'Phone' }
+    });
+    assert.equal(status, 200);
+    assert.match(body.registrationId, /^[0-9a-f-]{36}$/);
+    phoneId = body.registrationId;
+
+    const devices = await t.request('GET', '/api/user/REG1/devices', { registrationId: body.registrationId });
+    assert.equal(devices.body.devices.length, 1);
+    assert.equal(devices.body.devices[0].device_name, 'Phone');
+  });
+
+  it('rejects unknown codes, inactive codes and malformed tokens', async () => {
+    const unknown = await t.request('POST', '/api/register', { body: { code: 'NOPE', pushToken: pushToken('x') } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'invalid_code');
+
+    const inactive = await t.request('POST', '/api/register', { body: { code: 'OFF', pushToken: pushToken('x') } });
+    assert.equal(inactive.status, 403);
+    assert.equal(inactive.body.code, 'code_inactive');
+
+    const malformed = await t.request('POST', '/api/register', { body: { code: 'REG1', pushToken: 'not-a-token' } });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(malformed.body.fields, { pushToken: 'is not an Expo push token' });
+
+    const missing = await t.request('POST', '/api/register', { body: { code: 'REG1' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+  });
+
+  it('needs a registration secret before adding another device to a code', async () => {
+    const first = await t.request('POST', '/api/register', { body: { code: 'PAIR', pushToken: pushToken('pair-1') } });
+    assert.equal(first.status, 200);
+
+    const withoutSecret = await t.request('POST', '/api/register', { body: { code: 'PAIR', pushToken: pushToken('pair-2') } });
+    assert.equal(withoutSecret.status, 403);
+    assert.equal(withoutSecret.body.code, 'registration_secret_required');
+
+    const wrongSecret = await t.request('POST', '/api/register', {
+      body: { code: 'PAIR', pushToken: pushToken('pair-2'), registration_secret: 'not-the-secret' }
+    });
+    assert.equal(wrongSecret.body.code, 'invalid_registration_secret');
+
+    const second = await t.request('POST', '/api/register', {
+      body: { code: 'PAIR', pushToken: pushToken('pair-2'), registration_secret: first.body.registrationId }
+    });
+    assert.equal(second.status, 200);
+
+    const third = await t.request('POST', '/api/register', {
+      body: { code: 'PAIR', pushToken: pushToken('pair-3'), registration_secret: first.body.registrationId }
+    });
+    assert.equal(third.status, 409);
+    assert.equal(third.body.code, 'device_limit_reached');
+  });
+
+  it('re-registers a known pushToken only with proof of holding the code', async () => {
+    const anonymous = await t.request('POST', '/api/register', { body: { code: 'REG1', pushToken: pushToken('reg1-phone') } });
+    assert.equal(anonymous.status, 403);
+    assert.equal(anonymous.body.code, 'registration_secret_required');
+
+    const withSecret = await t.request('POST', '/api/register', {
+      body: { code: 'REG1', pushToken: pushToken('reg1-phone'), registration_secret: phoneId }
+    });
+    assert.equal(withSecret.status, 200);
+    phoneId = withSecret.body.registrationId;
+
+    const devices = await t.request('GET', '/api/user/REG1/devices', { registrationId: phoneId });
+    assert.equal(devices.body.devices.length, 1);
+  });
+
+  it('lets a device moved from the legacy table re-register once with its pushToken', async () => {
+    await t.request('POST', '/api/add-valid-codes', { token: t.ownerToken, body: { codes: ['LEGACY'] } });
+    await t.storage.db.query(
+      "INSERT INTO devices (code, pushToken, registrationId) VALUES ('LEGACY', @pushToken, 'public-id')",
+      { pushToken: pushToken('legacy') }
+    );
+    await migrations[0](t.storage.db);
+
+    const old = await t.request('GET', '/api/user/LEGACY/devices', { registrationId: 'public-id' });
+    assert.equal(old.status, 403);
+
+    const reregistered = await t.request('POST', '/api/register', { body: { code: 'LEGACY', pushToken: pushToken('legacy') } });
+    assert.equal(reregistered.status, 200);
+    const devices = await t.request('GET', '/api/user/LEGACY/devices', { registrationId: reregistered.body.registrationId });
+    assert.equal(devices.body.devices.length, 1);
+
+    const again = await t.request('POST', '/api/register', { body: { code: 'LEGACY', pushToken: pushToken('legacy') } });
+    assert.equal(again.body.code, 'registration_secret_required');
+  });
+
+  it('re-points a device to a new token with its own registrationId', async () => {
+    const first = await t.request('POST', '/api/register', {
+      registrationId: phoneId,
+      body: { code: 'REG1', pushToken: pushToken('reg1-phone') }
+    });
+    const moved = await t.request('POST', '/api/register', {
+      registrationId: first.body.registrationId,
+      body: { code: 'REG1', pushToken: pushToken('reg1-new-phone') }
+    });
+    assert.equal(moved.status, 200);
+    assert.notEqual(moved.body.registrationId, first.body.registrationId);
+
+    const devices = await t.request('GET', '/api/user/REG1/devices', { registrationId: moved.body.registrationId });
+    assert.equal(devices.body.devices.length, 1);
+
+    const stale = await t.request('GET', '/api/user/REG1/devices', { registrationId: first.body.registrationId });
+    assert.equal(stale.status, 403);
+  });
+});
+
+describe('rate limits', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ rateLimits: { maxFailures: 2 } });
+  });
+
+  after(() => t.close());
+
+  it('locks out a client after repeated unknown codes and audits it', async () => {
+    assert.equal((await t.request('GET', '/api/verify/GUESS1')).status, 200);
+    assert.equal((await t.request('GET', '/api/verify/GUESS2')).status, 200);
+
+    const locked = await t.request('GET', '/api/verify/GUESS3');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'locked_out');
+    assert.ok(Number(locked.headers.get('retry-after')) > 0);
+
+    const register = await t.request('POST', '/api/register', { body: { code: 'GUESS4', pushToken: pushToken('x') } });
+    assert.equal(register.body.code, 'locked_out');
+
+    const audit = await t.request('GET', '/api/audit?action=security.lockout', { token: t.ownerToken });
+    assert.equal(audit.body.entries.length, 1);
+  });
+
+  it('limits lookups of one code across clients and audits the first refusal', async () => {
+    const limited = await startTestApp({ rateLimits: { perCode: 2 } });
+    try {
+      for (const ip of ['203.0.113.1', '203.0.113.2']) {
+        const { status } = await limited.request('GET', '/api/verify/TARGET', { headers: { 'X-Forwarded-For': ip } });
+        assert.equal(status, 200);
+      }
+      for (const ip of ['203.0.113.3', '203.0.113.4']) {
+        const refused = await limited.request('GET', '/api/verify/TARGET', { headers: { 'X-Forwarded-For': ip } });
+        assert.equal(refused.body.code, 'rate_limited');
+      }
+      assert.equal((await limited.request('GET', '/api/verify/OTHER')).status, 200);
+
+      const audit = await limited.request('GET', '/api/audit?action=security.rate_limited', { token: limited.ownerToken });
+      assert.deepEqual(audit.body.entries.map(entry => entry.after.id), ['TARGET']);
+    } finally {
+      await limited.close();
+    }
+  });
+
+  it('tells clients behind the proxy apart by X-Forwarded-For', async () => {
+    const client = (ip) => ({ headers: { 'X-Forwarded-For': ip } });
+    await t.request('GET', '/api/verify/GUESS5', client('203.0.113.7'));
+    await t.request('GET', '/api/verify/GUESS6', client('203.0.113.7'));
+    assert.equal((await t.request('GET', '/api/verify/GUESS7', client('203.0.113.7'))).body.code, 'locked_out');
+
+    const other = await t.request('GET', '/api/verify/GUESS8', client('198.51.100.4'));
+    assert.equal(other.status, 200);
+  });
+});
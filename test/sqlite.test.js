@@ -0,0 +1,84 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../storage');
+const migrations = require('../storage/migrations');
+
+describe('sqlite adapter', () => {
+  let storage;
+
+  before(async () => {
+    // The adapter logs its connection, which would garble the runner's output
+    mock.method(console, 'log', () => {});
+    storage = createStorage({ client: 'sqlite', filename: ':memory:' });
+    await storage.db.connect();
+    await storage.db.query('CREATE TABLE items (name TEXT)');
+  });
+
+  after(async () => {
+    await storage.close();
+    mock.restoreAll();
+  });
+
+  async function names() {
+    const { rows } = await storage.db.query('SELECT name FROM items ORDER BY name');
+    return rows.map(row => row.name);
+  }
+
+  it('keeps queries made outside an open transaction out of its rollback', async () => {
+    let inserted;
+    const started = new Promise(resolve => { inserted = resolve; });
+
+    const failing = storage.db.transaction(async (tx) => {
+      await tx.query("INSERT INTO items (name) VALUES ('inside')");
+      inserted();
+      await new Promise(resolve => setTimeout(resolve, 20));
+      throw new Error('rolled back');
+    });
+
+    await started;
+    const outside = storage.db.query("INSERT INTO items (name) VALUES ('outside')");
+
+    await assert.rejects(failing, /rolled back/);
+    await outside;
+    assert.deepEqual(await names(), ['outside']);
+  });
+
+  it('runs a transaction started inside another as part of it', async () => {
+    await storage.db.transaction(async (tx) => {
+      await tx.query("INSERT INTO items (name) VALUES ('outer')");
+      await storage.db.transaction(inner => inner.query("INSERT INTO items (name) VALUES ('nested')"));
+    });
+    assert.deepEqual(await names(), ['nested', 'outer', 'outside']);
+  });
+});
+
+describe('legacy device migration', () => {
+  let storage;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    storage = createStorage({ client: 'sqlite', filename: ':memory:' });
+  });
+
+  after(async () => {
+    await storage.close();
+    mock.restoreAll();
+  });
+
+  it('moves legacy devices over with new registrationIds', async () => {
+    await storage.init();
+    await storage.db.query(
+      "INSERT INTO devices (code, pushToken, registrationId) VALUES ('OLD', 'ExponentPushToken[old]', 'public-id')"
+    );
+    await migrations[0](storage.db);
+
+    const [device] = await storage.devices.listForCode('OLD');
+    assert.equal(device.pushToken, 'ExponentPushToken[old]');
+    assert.notEqual(device.registrationId, 'public-id');
+    assert.ok(device.migrated_at);
+    assert.equal(await storage.devices.findByRegistrationId('public-id'), null);
+
+    const { rows } = await storage.db.query('SELECT * FROM devices');
+    assert.equal(rows.length, 0);
+  });
+});